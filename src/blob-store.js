@@ -0,0 +1,433 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import path from 'path';
+import assert from 'assert';
+import raf from 'random-access-file';
+import streamFrom from 'from2';
+import pify from 'pify';
+import sodium from 'sodium-universal';
+
+import Locker from './locker';
+
+export const BLOB_NAMESPACE = '@blob';
+
+/**
+ * Record of a blob persisted in the IndexDB.
+ *
+ * @typedef {Object} BlobRecord
+ * @property {Buffer} hash
+ * @property {number} size
+ * @property {string[]} references Keys (hex) of the feeds referencing the blob.
+ */
+
+/**
+ * Content-addressed store of large payloads.
+ *
+ * The blobs are identified by their BLAKE2b hash, they are stored in `@blob/<hash>` and written and read by chunks.
+ * The records with the references of the feeds are stored in the IndexDB under `@blob/<hash>`.
+ */
+export default class BlobStore {
+  /**
+   * Hash of the content of a blob.
+   *
+   * @static
+   * @param {Buffer} data
+   * @returns {Buffer}
+   */
+  static hash (data) {
+    const hash = Buffer.alloc(sodium.crypto_generichash_BYTES);
+    sodium.crypto_generichash(hash, data);
+    return hash;
+  }
+
+  /**
+   * constructor
+   *
+   * @param {RandomAccessStorage|string} storage
+   * @param {Object} [options]
+   * @param {number} [options.chunkSize=65536] Max number of bytes written or read at once.
+   * @param {number} [options.maxOpenFiles=16] Max number of blob files kept opened, the least recently used are closed.
+   */
+  constructor (storage, options = {}) {
+    const { chunkSize = 64 * 1024, maxOpenFiles = 16 } = options;
+
+    assert(Number.isInteger(chunkSize) && chunkSize > 0, 'chunkSize must be a positive integer.');
+    assert(Number.isInteger(maxOpenFiles) && maxOpenFiles > 0, 'maxOpenFiles must be a positive integer.');
+
+    this._storage = storage;
+    this._chunkSize = chunkSize;
+    this._maxOpenFiles = maxOpenFiles;
+    this._locker = new Locker();
+
+    /** @type {IndexDBAdapter|null} */
+    this._indexDB = null;
+
+    /**
+     * Opened files in order of use.
+     * @type {Map<string, RandomAccessStorage>}
+     */
+    this._files = new Map();
+  }
+
+  /**
+   * @param {IndexDBAdapter} indexDB
+   */
+  open (indexDB) {
+    assert(indexDB);
+
+    this._indexDB = indexDB;
+  }
+
+  /**
+   * Wait for the pending operations.
+   *
+   * @returns {Promise}
+   */
+  async close () {
+    const release = await this._locker.lock();
+    this._indexDB = null;
+
+    const files = Array.from(this._files.values());
+    this._files.clear();
+    await Promise.all(files.map(file => pify(file.close.bind(file))()));
+    await release();
+  }
+
+  /**
+   * Store a blob, the chunks of an existing blob are not written again.
+   *
+   * @param {Buffer} data
+   * @param {string} [reference] Key (hex) of the feed referencing the blob.
+   * @returns {Promise<Buffer>} hash
+   */
+  async put (data, reference) {
+    assert(Buffer.isBuffer(data), 'data must be a buffer.');
+
+    const hash = BlobStore.hash(data);
+
+    return this._update(hash, async record => {
+      if (!record) {
+        const file = await this._getFile(hash);
+        for (let offset = 0; offset < data.length; offset += this._chunkSize) {
+          await pify(file.write.bind(file))(offset, data.slice(offset, offset + this._chunkSize));
+        }
+
+        record = { hash, size: data.length, references: [] };
+      }
+
+      return addReference(record, reference);
+    }).then(() => hash);
+  }
+
+  /**
+   * Read a blob verifying its hash.
+   *
+   * @param {Buffer|string} hash
+   * @returns {Promise<Buffer>}
+   */
+  async get (hash) {
+    const chunks = [];
+    for await (const chunk of this._readChunks(hash)) {
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Read a blob by chunks, the stream is destroyed with an error if the hash doesn't match.
+   *
+   * @param {Buffer|string} hash
+   * @param {Object} [options]
+   * @param {Promise} [options.ready] Wait for the promise before reading.
+   * @returns {ReadableStream}
+   */
+  createReadStream (hash, options = {}) {
+    const { ready } = options;
+
+    const chunks = this._readChunks(hash, ready);
+
+    return streamFrom((size, next) => {
+      chunks.next().then(({ value, done }) => next(null, done ? null : value), next);
+    });
+  }
+
+  /**
+   * @param {Buffer|string} hash
+   * @returns {Promise<BlobRecord|undefined>}
+   */
+  async stat (hash) {
+    hash = toHash(hash);
+
+    return this._indexDB.get(this._key(hash));
+  }
+
+  /**
+   * Add a reference of a feed to a blob.
+   *
+   * @param {Buffer|string} hash
+   * @param {string} reference Key (hex) of the feed.
+   * @returns {Promise}
+   */
+  async reference (hash, reference) {
+    hash = toHash(hash);
+
+    await this._update(hash, record => {
+      if (!record) {
+        throw new Error(`Blob not found: ${hash.toString('hex')}`);
+      }
+
+      return addReference(record, reference);
+    });
+  }
+
+  /**
+   * Remove the reference of a feed to a blob, the blob is removed with its last reference.
+   *
+   * @param {Buffer|string} hash
+   * @param {string} reference Key (hex) of the feed.
+   * @returns {Promise}
+   */
+  async unreference (hash, reference) {
+    hash = toHash(hash);
+
+    await this._update(hash, record => {
+      if (!record) {
+        throw new Error(`Blob not found: ${hash.toString('hex')}`);
+      }
+
+      const references = record.references.filter(key => key !== reference);
+      return references.length > 0 ? { ...record, references } : null;
+    });
+  }
+
+  /**
+   * Remove the references of a feed, the blobs without references are removed.
+   *
+   * @param {string} reference Key (hex) of the feed.
+   * @returns {Promise<number>} Number of removed blobs.
+   */
+  async unreferenceAll (reference) {
+    const records = await this._indexDB.list(BLOB_NAMESPACE);
+
+    let removed = 0;
+    for (const { hash } of records) {
+      await this._update(hash, record => {
+        if (!record || !record.references.includes(reference)) {
+          return record;
+        }
+
+        const references = record.references.filter(key => key !== reference);
+        if (references.length > 0) {
+          return { ...record, references };
+        }
+
+        removed++;
+        return null;
+      });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove the blobs without references.
+   *
+   * @returns {Promise<number>} Number of removed blobs.
+   */
+  async collect () {
+    const records = await this._indexDB.list(BLOB_NAMESPACE);
+
+    let removed = 0;
+    for (const { hash } of records) {
+      await this._update(hash, record => {
+        if (!record || record.references.length > 0) {
+          return record;
+        }
+
+        removed++;
+        return null;
+      });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Update the record of a blob holding the lock, returning `null` removes the blob.
+   *
+   * @private
+   * @param {Buffer} hash
+   * @param {function(BlobRecord|undefined): (BlobRecord|null|Promise<BlobRecord|null>)} update
+   * @returns {Promise}
+   */
+  async _update (hash, update) {
+    const release = await this._locker.lock();
+
+    try {
+      if (!this._indexDB) {
+        throw new Error('FeedStore closed');
+      }
+
+      const record = await this._indexDB.get(this._key(hash));
+      const newRecord = await update(record);
+
+      if (newRecord === null) {
+        await this._indexDB.delete(this._key(hash));
+        await this._destroyFile(hash);
+      } else if (newRecord !== record) {
+        await this._indexDB.put(this._key(hash), newRecord);
+      }
+
+      await release();
+    } catch (err) {
+      await release();
+      throw err;
+    }
+  }
+
+  /**
+   * @private
+   * @param {Buffer} hash
+   * @returns {string}
+   */
+  _key (hash) {
+    return `${BLOB_NAMESPACE}/${hash.toString('hex')}`;
+  }
+
+  /**
+   * Read the chunks of a blob verifying its hash.
+   *
+   * @private
+   * @param {Buffer} hash
+   * @param {Promise} [ready]
+   * @returns {AsyncIterable<Buffer>}
+   */
+  async * _readChunks (hash, ready) {
+    await ready;
+
+    hash = toHash(hash);
+    const record = await this.stat(hash);
+
+    if (!record) {
+      throw new Error(`Blob not found: ${hash.toString('hex')}`);
+    }
+
+    const hasher = sodium.crypto_generichash_instance();
+
+    for (let offset = 0; offset < record.size; offset += this._chunkSize) {
+      const chunk = await this._readChunk(hash, offset, Math.min(this._chunkSize, record.size - offset));
+      hasher.update(chunk);
+
+      if (offset + chunk.length >= record.size) {
+        const digest = Buffer.alloc(sodium.crypto_generichash_BYTES);
+        hasher.final(digest);
+        if (!digest.equals(hash)) {
+          throw new Error(`Invalid blob: ${hash.toString('hex')}`);
+        }
+      }
+
+      yield chunk;
+    }
+  }
+
+  /**
+   * Read a chunk holding the lock, the blob could be removed between the chunks of a stream.
+   *
+   * @private
+   * @param {Buffer} hash
+   * @param {number} offset
+   * @param {number} length
+   * @returns {Promise<Buffer>}
+   */
+  async _readChunk (hash, offset, length) {
+    const release = await this._locker.lock();
+
+    try {
+      if (!this._indexDB) {
+        throw new Error('FeedStore closed');
+      }
+
+      if (!(await this._indexDB.get(this._key(hash)))) {
+        throw new Error(`Blob not found: ${hash.toString('hex')}`);
+      }
+
+      const file = await this._getFile(hash);
+      const chunk = await pify(file.read.bind(file))(offset, length);
+      await release();
+      return chunk;
+    } catch (err) {
+      await release();
+      throw err;
+    }
+  }
+
+  /**
+   * Get an opened file, the least recently used files are closed over `maxOpenFiles`.
+   *
+   * Must be called holding the lock so a file is not closed while it's in use.
+   *
+   * @private
+   * @param {Buffer} hash
+   * @returns {Promise<RandomAccessStorage>}
+   */
+  async _getFile (hash) {
+    const name = `${BLOB_NAMESPACE}/${hash.toString('hex')}`;
+
+    let file = this._files.get(name);
+    if (file) {
+      this._files.delete(name);
+    } else {
+      file = typeof this._storage === 'string'
+        ? raf(path.join(BLOB_NAMESPACE, hash.toString('hex')), { directory: this._storage })
+        : this._storage(name);
+    }
+
+    this._files.set(name, file);
+
+    for (const [leastUsedName, leastUsedFile] of this._files) {
+      if (this._files.size <= this._maxOpenFiles) {
+        break;
+      }
+
+      this._files.delete(leastUsedName);
+      await pify(leastUsedFile.close.bind(leastUsedFile))();
+    }
+
+    return file;
+  }
+
+  /**
+   * @private
+   * @param {Buffer} hash
+   * @returns {Promise}
+   */
+  async _destroyFile (hash) {
+    const file = await this._getFile(hash);
+    this._files.delete(`${BLOB_NAMESPACE}/${hash.toString('hex')}`);
+
+    try {
+      await pify(file.destroy.bind(file))();
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+  }
+}
+
+function addReference (record, reference) {
+  if (reference === undefined || record.references.includes(reference)) {
+    return record;
+  }
+
+  return { ...record, references: [...record.references, reference] };
+}
+
+function toHash (hash) {
+  assert(Buffer.isBuffer(hash) || typeof hash === 'string', 'hash must be a buffer or a hex string.');
+
+  return typeof hash === 'string' ? Buffer.from(hash, 'hex') : hash;
+}
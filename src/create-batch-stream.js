@@ -39,21 +39,38 @@ export default function createBatchStream (feed, opts = {}) {
       first = false;
     }
 
+    // skip the blocks cleared by a retention policy
+    if (opts.cleared) {
+      const cleared = opts.cleared();
+      if (start < cleared) {
+        setStart(end === Infinity || end === -1 ? cleared : Math.min(cleared, end));
+      }
+    }
+
     if (start === end || (end === -1 && start === feed.length)) {
       return cb(null, null);
     }
 
+    // wait for the blocks appended by a pending transaction
+    if (start < feed.length && !visible(start)) {
+      opts.onVisible(() => read(size, cb));
+      return;
+    }
+
     if (batch === 1) {
       seq = setStart(start + 1);
       feed.get(seq, opts, (err, data) => {
         if (err) return cb(err);
-        cb(null, [buildMessage(data)]);
+        whenVisible(seq, () => cb(null, [buildMessage(data)]));
       });
       return;
     }
 
     batchEnd = start + batch;
     batchLimit = end === Infinity ? feed.length : end;
+    if (opts.visibleLength && batchLimit > start) {
+      batchLimit = Math.min(batchLimit, opts.visibleLength());
+    }
     if (batchEnd > batchLimit) {
       batchEnd = batchLimit;
     }
@@ -62,7 +79,7 @@ export default function createBatchStream (feed, opts = {}) {
       seq = setStart(start + 1);
       feed.get(seq, opts, (err, data) => {
         if (err) return cb(err);
-        cb(null, [buildMessage(data)]);
+        whenVisible(seq, () => cb(null, [buildMessage(data)]));
       });
       return;
     }
@@ -94,6 +111,15 @@ export default function createBatchStream (feed, opts = {}) {
     return message;
   }
 
+  function visible (index) {
+    return !opts.visibleLength || index < opts.visibleLength();
+  }
+
+  function whenVisible (index, cb) {
+    if (visible(index)) return cb();
+    opts.onVisible(() => whenVisible(index, cb));
+  }
+
   function cleanup () {
     if (!range) return;
     feed.undownload(range);
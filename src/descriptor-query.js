@@ -0,0 +1,261 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import assert from 'assert';
+
+/**
+ * Query over the descriptors with a subset of the MongoDB query language.
+ *
+ * Fields: `path`, `key`, `discoveryKey` (hex strings), `opened`, `valueEncoding`, `schema` and `metadata.*`.
+ * Operators: `$eq`, `$ne`, `$in`, `$nin`, `$gt`, `$gte`, `$lt`, `$lte`, `$exists`, `$and`, `$or`, `$nor`.
+ *
+ * @typedef {Object} DescriptorQuery
+ */
+
+const COMPARISON_OPERATORS = {
+  $eq: (value, expected) => equals(value, expected),
+  $ne: (value, expected) => !equals(value, expected),
+  $in: (value, expected) => expected.some(item => equals(value, item)),
+  $nin: (value, expected) => !expected.some(item => equals(value, item)),
+  $gt: (value, expected) => compare(value, expected, (a, b) => a > b),
+  $gte: (value, expected) => compare(value, expected, (a, b) => a >= b),
+  $lt: (value, expected) => compare(value, expected, (a, b) => a < b),
+  $lte: (value, expected) => compare(value, expected, (a, b) => a <= b),
+  $exists: (value, expected) => (value !== undefined) === !!expected
+};
+
+/**
+ * Get the value of a field of the descriptor.
+ *
+ * @param {FeedDescriptor} descriptor
+ * @param {string} field
+ * @returns {*}
+ */
+export function getField (descriptor, field) {
+  const [root, ...path] = field.split('.');
+
+  let value;
+  switch (root) {
+    case 'path':
+    case 'opened':
+    case 'schema':
+    case 'metadata':
+      value = descriptor[root];
+      break;
+    case 'key':
+    case 'discoveryKey':
+      value = descriptor[root].toString('hex');
+      break;
+    case 'valueEncoding':
+      value = typeof descriptor.valueEncoding === 'string' ? descriptor.valueEncoding : undefined;
+      break;
+    default:
+      throw new Error(`Invalid query field "${field}"`);
+  }
+
+  for (const property of path) {
+    if (value === undefined || value === null || typeof value !== 'object') {
+      return undefined;
+    }
+    value = value[property];
+  }
+
+  return value;
+}
+
+/**
+ * Check if a descriptor matches a query.
+ *
+ * @param {FeedDescriptor} descriptor
+ * @param {DescriptorQuery} query
+ * @returns {boolean}
+ */
+export function matchQuery (descriptor, query) {
+  assert(query && typeof query === 'object', 'query must be an object.');
+
+  return Object.entries(query).every(([field, condition]) => {
+    switch (field) {
+      case '$and':
+        return condition.every(subquery => matchQuery(descriptor, subquery));
+      case '$or':
+        return condition.some(subquery => matchQuery(descriptor, subquery));
+      case '$nor':
+        return !condition.some(subquery => matchQuery(descriptor, subquery));
+      default:
+        return matchCondition(getField(descriptor, field), condition);
+    }
+  });
+}
+
+/**
+ * In-memory index of the descriptors by `path` and the scalar values of their metadata.
+ */
+export class DescriptorIndex {
+  constructor () {
+    /** @type {Map<string, Map<string, Set<FeedDescriptor>>>} */
+    this._fields = new Map();
+
+    /** @type {Map<FeedDescriptor, { field: string, value: string }[]>} */
+    this._entries = new Map();
+  }
+
+  /**
+   * Add or update a descriptor in the index.
+   *
+   * @param {FeedDescriptor} descriptor
+   */
+  update (descriptor) {
+    this.delete(descriptor);
+
+    const flattened = [{ field: 'path', value: valueKey(descriptor.path) }];
+    flatten('metadata', descriptor.metadata, flattened);
+
+    const entries = flattened.filter(({ field, value }, i) => flattened.findIndex(entry => entry.field === field && entry.value === value) === i);
+
+    for (const { field, value } of entries) {
+      let values = this._fields.get(field);
+      if (!values) {
+        values = new Map();
+        this._fields.set(field, values);
+      }
+
+      let descriptors = values.get(value);
+      if (!descriptors) {
+        descriptors = new Set();
+        values.set(value, descriptors);
+      }
+
+      descriptors.add(descriptor);
+    }
+
+    this._entries.set(descriptor, entries);
+  }
+
+  /**
+   * Remove a descriptor from the index.
+   *
+   * @param {FeedDescriptor} descriptor
+   */
+  delete (descriptor) {
+    const entries = this._entries.get(descriptor);
+    if (!entries) {
+      return;
+    }
+
+    for (const { field, value } of entries) {
+      const values = this._fields.get(field);
+      const descriptors = values.get(value);
+      descriptors.delete(descriptor);
+      if (descriptors.size === 0) {
+        values.delete(value);
+      }
+      if (values.size === 0) {
+        this._fields.delete(field);
+      }
+    }
+
+    this._entries.delete(descriptor);
+  }
+
+  clear () {
+    this._fields.clear();
+    this._entries.clear();
+  }
+
+  /**
+   * Find the descriptors matching a query.
+   *
+   * The equality conditions over indexed fields reduce the candidates before matching the full query.
+   *
+   * @param {DescriptorQuery} query
+   * @returns {FeedDescriptor[]}
+   */
+  find (query) {
+    let candidates = null;
+
+    for (const [field, condition] of Object.entries(query)) {
+      if (field.startsWith('$') || !(field === 'path' || field.startsWith('metadata.'))) {
+        continue;
+      }
+
+      const expected = isOperator(condition) ? condition.$eq : condition;
+      if (expected === undefined || !isScalar(expected)) {
+        continue;
+      }
+
+      const values = this._fields.get(field);
+      const descriptors = (values && values.get(valueKey(expected))) || new Set();
+      candidates = candidates ? new Set([...candidates].filter(descriptor => descriptors.has(descriptor))) : descriptors;
+    }
+
+    return Array.from(candidates || this._entries.keys()).filter(descriptor => matchQuery(descriptor, query));
+  }
+}
+
+function matchCondition (value, condition) {
+  if (!isOperator(condition)) {
+    return equals(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    const fn = COMPARISON_OPERATORS[operator];
+    if (!fn) {
+      throw new Error(`Invalid query operator "${operator}"`);
+    }
+    return fn(value, expected);
+  });
+}
+
+function equals (value, expected) {
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some(item => equals(item, expected));
+  }
+
+  if (Buffer.isBuffer(expected)) {
+    expected = expected.toString('hex');
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value) === JSON.stringify(expected);
+  }
+
+  return value === expected;
+}
+
+function compare (value, expected, fn) {
+  if (Array.isArray(value)) {
+    return value.some(item => compare(item, expected, fn));
+  }
+
+  return value !== undefined && value !== null && typeof value === typeof expected && fn(value, expected);
+}
+
+function isOperator (condition) {
+  return condition !== null && typeof condition === 'object' && !Array.isArray(condition) && !Buffer.isBuffer(condition) &&
+    Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'));
+}
+
+function isScalar (value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function valueKey (value) {
+  return JSON.stringify(value);
+}
+
+function flatten (field, value, entries) {
+  if (Array.isArray(value)) {
+    value.filter(isScalar).forEach(item => entries.push({ field, value: valueKey(item) }));
+    return;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    Object.entries(value).forEach(([property, item]) => flatten(`${field}.${property}`, item, entries));
+    return;
+  }
+
+  if (isScalar(value)) {
+    entries.push({ field, value: valueKey(value) });
+  }
+}
@@ -0,0 +1,130 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import assert from 'assert';
+import codecs from 'codecs';
+import sodium from 'sodium-universal';
+
+/**
+ * Generate a random content key to encrypt the blocks of a feed.
+ *
+ * @returns {Buffer} Buffer of size crypto_secretbox_KEYBYTES.
+ */
+export function generateContentKey () {
+  const contentKey = Buffer.alloc(sodium.crypto_secretbox_KEYBYTES);
+  sodium.randombytes_buf(contentKey);
+  return contentKey;
+}
+
+/**
+ * Validate a content key.
+ *
+ * @param {Buffer} [contentKey]
+ */
+export function validateContentKey (contentKey) {
+  assert(!contentKey || (Buffer.isBuffer(contentKey) && contentKey.length === sodium.crypto_secretbox_KEYBYTES),
+    'contentKey must be a buffer of size crypto_secretbox_KEYBYTES.');
+}
+
+/**
+ * Wrap a codec to encrypt the encoded messages with XSalsa20-Poly1305 (crypto_secretbox).
+ *
+ * Each block contains a random nonce followed by the ciphertext.
+ *
+ * @param {Object|string} [valueEncoding] Codec or name of a codec supported by Hypercore. Default: binary.
+ * @param {Buffer} contentKey
+ * @returns {{ encode: function, decode: function }}
+ */
+export function createEncryptedCodec (valueEncoding, contentKey) {
+  assert(contentKey, 'contentKey is required.');
+  validateContentKey(contentKey);
+
+  const codec = codecs(valueEncoding);
+
+  return {
+    name: `encrypted-${codec.name || 'custom'}`,
+
+    encode (message) {
+      const data = codec.encode(message);
+
+      const nonce = Buffer.alloc(sodium.crypto_secretbox_NONCEBYTES);
+      sodium.randombytes_buf(nonce);
+
+      const ciphertext = Buffer.alloc(data.length + sodium.crypto_secretbox_MACBYTES);
+      sodium.crypto_secretbox_easy(ciphertext, data, nonce, contentKey);
+
+      return Buffer.concat([nonce, ciphertext]);
+    },
+
+    decode (buffer) {
+      const nonce = buffer.slice(0, sodium.crypto_secretbox_NONCEBYTES);
+      const ciphertext = buffer.slice(sodium.crypto_secretbox_NONCEBYTES);
+
+      if (ciphertext.length < sodium.crypto_secretbox_MACBYTES) {
+        throw new Error('Unable to decrypt the block');
+      }
+
+      const data = Buffer.alloc(ciphertext.length - sodium.crypto_secretbox_MACBYTES);
+      if (!sodium.crypto_secretbox_open_easy(data, ciphertext, nonce, contentKey)) {
+        throw new Error('Unable to decrypt the block');
+      }
+
+      return codec.decode(data);
+    }
+  };
+}
+
+/**
+ * Generate a key pair to receive read access grants.
+ *
+ * @returns {{ publicKey: Buffer, secretKey: Buffer }} Curve25519 key pair (crypto_box).
+ */
+export function generateAccessKeyPair () {
+  const publicKey = Buffer.alloc(sodium.crypto_box_PUBLICKEYBYTES);
+  const secretKey = Buffer.alloc(sodium.crypto_box_SECRETKEYBYTES);
+  sodium.crypto_box_keypair(publicKey, secretKey);
+  return { publicKey, secretKey };
+}
+
+/**
+ * Seal the public key and the content key of a feed for a recipient (crypto_box_seal).
+ *
+ * @param {Buffer} key Public key of the feed.
+ * @param {Buffer} contentKey
+ * @param {Buffer} publicKey Access public key of the recipient.
+ * @returns {Buffer}
+ */
+export function createAccessGrant (key, contentKey, publicKey) {
+  assert(Buffer.isBuffer(publicKey) && publicKey.length === sodium.crypto_box_PUBLICKEYBYTES,
+    'publicKey must be a buffer of size crypto_box_PUBLICKEYBYTES.');
+
+  const data = Buffer.concat([key, contentKey]);
+  const grant = Buffer.alloc(data.length + sodium.crypto_box_SEALBYTES);
+  sodium.crypto_box_seal(grant, data, publicKey);
+  return grant;
+}
+
+/**
+ * Open a grant created by `createAccessGrant`.
+ *
+ * @param {Buffer} grant
+ * @param {{ publicKey: Buffer, secretKey: Buffer }} keyPair Access key pair of the recipient.
+ * @returns {{ key: Buffer, contentKey: Buffer }}
+ */
+export function openAccessGrant (grant, keyPair) {
+  assert(Buffer.isBuffer(grant), 'grant must be a buffer.');
+  assert(keyPair && keyPair.publicKey && keyPair.secretKey, 'keyPair is required.');
+
+  const length = sodium.crypto_sign_PUBLICKEYBYTES + sodium.crypto_secretbox_KEYBYTES;
+  const data = Buffer.alloc(length);
+  if (grant.length !== length + sodium.crypto_box_SEALBYTES ||
+    !sodium.crypto_box_seal_open(data, grant, keyPair.publicKey, keyPair.secretKey)) {
+    throw new Error('Invalid access grant');
+  }
+
+  return {
+    key: data.slice(0, sodium.crypto_sign_PUBLICKEYBYTES),
+    contentKey: data.slice(sodium.crypto_sign_PUBLICKEYBYTES)
+  };
+}
@@ -0,0 +1,160 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import assert from 'assert';
+import { EventEmitter } from 'events';
+import streamFrom from 'from2';
+
+import Locker from './locker';
+
+export const EVENT_NAMESPACE = '@event';
+
+/**
+ * Event of the store persisted in the log.
+ *
+ * @typedef {Object} StoreEvent
+ * @property {number} seq
+ * @property {('created'|'opened'|'closed'|'metadata-updated'|'deleted')} type
+ * @property {string} path
+ * @property {Buffer} key
+ * @property {*} [metadata] Metadata of the descriptor for the `created` and `metadata-updated` events.
+ * @property {number} timestamp
+ */
+
+/**
+ * Append-only log of the store events persisted in the IndexDB.
+ *
+ * Each event is stored in `@event/<seq>` and the length of the log in `@event/length`.
+ */
+export default class EventLog extends EventEmitter {
+  constructor () {
+    super();
+
+    /** @type {IndexDBAdapter|null} */
+    this._indexDB = null;
+    this._length = 0;
+    this._locker = new Locker();
+
+    /** @type {Set<ReadableStream>} */
+    this._streams = new Set();
+  }
+
+  /**
+   * Number of events in the log.
+   *
+   * @type {number}
+   */
+  get length () {
+    return this._length;
+  }
+
+  /**
+   * Load the length of the log, the streams wait until the log is opened.
+   *
+   * @param {IndexDBAdapter} indexDB
+   * @returns {Promise}
+   */
+  async open (indexDB) {
+    assert(indexDB);
+
+    const { length = 0 } = (await indexDB.get(`${EVENT_NAMESPACE}/length`)) || {};
+    this._indexDB = indexDB;
+    this._length = length;
+    this.emit('update');
+  }
+
+  /**
+   * Wait for the pending appends and destroy the opened streams.
+   *
+   * @returns {Promise}
+   */
+  async close () {
+    const release = await this._locker.lock();
+    await release();
+
+    this._streams.forEach(stream => stream.destroy(new Error('FeedStore closed')));
+    this._streams.clear();
+    this._indexDB = null;
+  }
+
+  /**
+   * Append an event.
+   *
+   * @param {Object} event
+   * @returns {Promise<StoreEvent>}
+   */
+  async append (event) {
+    const release = await this._locker.lock();
+
+    try {
+      const seq = this._length;
+      const record = { seq, ...event, timestamp: Date.now() };
+
+      await this._indexDB.batch([
+        { type: 'put', key: `${EVENT_NAMESPACE}/${seq}`, value: record },
+        { type: 'put', key: `${EVENT_NAMESPACE}/length`, value: { length: seq + 1 } }
+      ]);
+
+      this._length = seq + 1;
+      await release();
+
+      this.emit('update');
+      return record;
+    } catch (err) {
+      await release();
+      throw err;
+    }
+  }
+
+  /**
+   * Creates a ReadableStream of the events.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.since=0] Seq of the first event to read.
+   * @param {boolean} [options.live=false] Keep the stream open waiting for new events.
+   * @returns {ReadableStream}
+   */
+  createReadStream (options = {}) {
+    const { since = 0, live = false } = options;
+
+    assert(Number.isInteger(since) && since >= 0, 'since must be a positive integer.');
+
+    let seq = since;
+    let waiting = null;
+
+    const read = (size, next) => {
+      waiting = null;
+
+      if (!this._indexDB || (live && seq >= this._length)) {
+        waiting = () => read(size, next);
+        this.once('update', waiting);
+        return;
+      }
+
+      if (seq >= this._length) {
+        return next(null, null);
+      }
+
+      this._indexDB.get(`${EVENT_NAMESPACE}/${seq}`)
+        .then(event => {
+          seq++;
+          next(null, event);
+        })
+        .catch(next);
+    };
+
+    const stream = streamFrom.obj(read);
+
+    this._streams.add(stream);
+    const remove = () => {
+      this._streams.delete(stream);
+      if (waiting) {
+        this.removeListener('update', waiting);
+      }
+    };
+    stream.on('end', remove).on('close', remove);
+
+    return stream;
+  }
+}
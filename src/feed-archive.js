@@ -0,0 +1,111 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import jsonBuffer from 'buffer-json-encoding';
+import eos from 'end-of-stream';
+import pEvent from 'p-event';
+import pify from 'pify';
+
+export const ARCHIVE_VERSION = 1;
+
+/**
+ * Write a feed archive into a WritableStream.
+ *
+ * The archive is a list of JSON records separated by new lines: a header with the descriptor
+ * information followed by a record for each block with its raw data and merkle proof.
+ *
+ * @param {FeedDescriptor} descriptor Descriptor of an opened feed.
+ * @param {WritableStream} stream
+ * @param {Object} [options]
+ * @param {boolean} [options.secretKey=false] Include the secret key.
+ * @param {boolean} [options.contentKey=true] Include the content key of an encrypted feed.
+ * @returns {Promise}
+ */
+export async function writeArchive (descriptor, stream, options = {}) {
+  const { secretKey = false, contentKey = true } = options;
+  const { feed } = descriptor;
+
+  const write = async (record) => {
+    if (!stream.write(Buffer.concat([jsonBuffer.encode(record), Buffer.from('\n')]))) {
+      await pEvent(stream, 'drain');
+    }
+  };
+
+  await write({
+    type: 'header',
+    version: ARCHIVE_VERSION,
+    path: descriptor.path,
+    key: descriptor.key,
+    secretKey: secretKey ? descriptor.secretKey : undefined,
+    encrypted: descriptor.encrypted,
+    contentKey: contentKey ? descriptor.contentKey : undefined,
+    valueEncoding: typeof descriptor.valueEncoding === 'string' ? descriptor.valueEncoding : undefined,
+    metadata: descriptor.metadata,
+    retention: descriptor.retention,
+    schema: descriptor.schema,
+    length: feed.length
+  });
+
+  for (let index = 0; index < feed.length; index++) {
+    if (!feed.has(index)) {
+      continue;
+    }
+
+    const [data, proof] = await Promise.all([
+      pify(feed.get.bind(feed))(index, { valueEncoding: 'binary' }),
+      pify(feed.proof.bind(feed))(index)
+    ]);
+
+    await write({ type: 'block', index, data, proof });
+  }
+
+  const finished = pify(eos)(stream);
+  stream.end();
+  await finished;
+}
+
+/**
+ * Read the records of a feed archive.
+ *
+ * @param {ReadableStream} stream
+ * @returns {AsyncIterable<Object>}
+ */
+export async function * readArchive (stream) {
+  let buffer = Buffer.alloc(0);
+  let first = true;
+
+  const parse = (line) => {
+    const record = jsonBuffer.decode(line);
+
+    if (first) {
+      first = false;
+      if (record.type !== 'header' || record.version !== ARCHIVE_VERSION) {
+        throw new Error('Invalid feed archive');
+      }
+    }
+
+    return record;
+  };
+
+  for await (const chunk of stream) {
+    buffer = Buffer.concat([buffer, Buffer.from(chunk)]);
+
+    let end;
+    while ((end = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 1);
+      if (line.length > 0) {
+        yield parse(line);
+      }
+    }
+  }
+
+  if (buffer.length > 0) {
+    yield parse(buffer);
+  }
+
+  if (first) {
+    throw new Error('Invalid feed archive');
+  }
+}
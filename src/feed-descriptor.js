@@ -5,13 +5,21 @@
 import path from 'path';
 import assert from 'assert';
 
+import codecs from 'codecs';
 import defaultHypercore from 'hypercore';
 import crypto from 'hypercore-crypto';
 import raf from 'random-access-file';
 import pify from 'pify';
 import sodium from 'sodium-universal';
 
+import { createEncryptedCodec, validateContentKey } from './encryption';
+import { readStoredKey } from './feed-verifier';
 import Locker from './locker';
+import { validateMaxAge, validateRetention } from './retention';
+import SchemaRegistry from './schema-registry';
+
+// Files created by Hypercore for each feed.
+const STORAGE_FILES = ['key', 'secret_key', 'tree', 'data', 'bitfield', 'signatures'];
 
 /**
  * FeedDescriptor
@@ -28,7 +36,13 @@ export class FeedDescriptor {
    * @param {Buffer} options.key
    * @param {Buffer} options.secretKey
    * @param {Object|string} options.valueEncoding
+   * @param {Buffer} options.contentKey Key to encrypt the blocks of the feed.
    * @param {*} options.metadata
+   * @param {RetentionPolicy} options.retention
+   * @param {number} options.cleared Number of leading blocks cleared by the retention policy.
+   * @param {function} options.timestamp Returns the timestamp of a block data, required to set a `maxAge` retention.
+   * @param {string} options.schema Id of the schema to validate the messages.
+   * @param {SchemaRegistry} options.schemas
    * @param {Hypercore} options.hypercore
    */
   constructor (path, options = {}) {
@@ -37,9 +51,15 @@ export class FeedDescriptor {
       key,
       secretKey,
       valueEncoding,
+      contentKey,
       hypercore = defaultHypercore,
       codecs = {},
-      metadata
+      metadata,
+      retention,
+      cleared = 0,
+      timestamp,
+      schema,
+      schemas = new SchemaRegistry()
     } = options;
 
     assert(path && typeof path === 'string' && path.length > 0,
@@ -52,15 +72,24 @@ export class FeedDescriptor {
       'missing publicKey.');
     assert(!valueEncoding || typeof valueEncoding === 'string' || (valueEncoding.encode && valueEncoding.decode),
       'valueEncoding must be a string or implement abstract-encoding.');
+    validateContentKey(contentKey);
+    validateRetention(retention);
+    assert(!schema || typeof schema === 'string', 'schema must be a string id.');
 
     this._storage = storage;
     this._path = path;
     this._key = key;
     this._secretKey = secretKey;
     this._valueEncoding = valueEncoding;
+    this._contentKey = contentKey;
     this._hypercore = hypercore;
     this._codecs = codecs;
     this._metadata = metadata;
+    this._retention = retention;
+    this._cleared = cleared;
+    this._timestamp = timestamp;
+    this._schema = schema;
+    this._schemas = schemas;
 
     if (!this._key) {
       const { publicKey, secretKey } = crypto.keyPair();
@@ -73,7 +102,16 @@ export class FeedDescriptor {
     this._locker = new Locker();
 
     this._feed = null;
+    this._codec = null;
     this._listener = null;
+    this._pins = 0;
+
+    /** @type {Map<*, number>} */
+    this._holders = new Map();
+
+    /** @type {Set<{ from: number }>} */
+    this._hidden = new Set();
+    this._visibleListeners = [];
   }
 
   /**
@@ -125,6 +163,22 @@ export class FeedDescriptor {
     return this._valueEncoding;
   }
 
+  /**
+   * Key to encrypt the blocks of the feed.
+   *
+   * @type {Buffer|undefined}
+   */
+  get contentKey () {
+    return this._contentKey;
+  }
+
+  /**
+   * @type {boolean}
+   */
+  get encrypted () {
+    return !!this._contentKey;
+  }
+
   /**
    * @type {*}
    */
@@ -138,7 +192,207 @@ export class FeedDescriptor {
    */
   async setMetadata (metadata) {
     this._metadata = metadata;
-    await this._emit('updated');
+    await this._emit('updated', 'metadata');
+  }
+
+  /**
+   * @type {RetentionPolicy|undefined}
+   */
+  get retention () {
+    return this._retention;
+  }
+
+  /**
+   * Number of leading blocks cleared by the retention policy.
+   *
+   * @type {number}
+   */
+  get cleared () {
+    return this._cleared;
+  }
+
+  /**
+   * @param {RetentionPolicy} [retention]
+   * @returns {Promise}
+   */
+  async setRetention (retention) {
+    validateRetention(retention);
+    validateMaxAge(retention, this._timestamp);
+    this._retention = retention;
+    await this._emit('updated', 'retention');
+  }
+
+  /**
+   * @param {number} cleared
+   * @returns {Promise}
+   */
+  async setCleared (cleared) {
+    this._cleared = cleared;
+    await this._emit('updated', 'cleared');
+  }
+
+  /**
+   * Id of the schema used to validate the messages.
+   *
+   * @type {string|undefined}
+   */
+  get schema () {
+    return this._schema;
+  }
+
+  /**
+   * Validate a message against the schema of the feed.
+   *
+   * @param {*} message
+   * @returns {Error|null}
+   */
+  validate (message) {
+    if (!this._schema) {
+      return null;
+    }
+
+    const error = this._schemas.get(this._schema)(message);
+    return error ? new Error(`Invalid message for schema "${this._schema}": ${error}`) : null;
+  }
+
+  /**
+   * Encode a message as it's written in the feed, encrypted if the feed has a content key.
+   *
+   * @param {*} message
+   * @returns {Buffer}
+   */
+  encode (message) {
+    assert(this._codec, 'Feed not opened');
+
+    return this._codec.encode(message);
+  }
+
+  /**
+   * @param {Buffer} block
+   * @returns {*}
+   */
+  decode (block) {
+    assert(this._codec, 'Feed not opened');
+
+    return this._codec.decode(block);
+  }
+
+  /**
+   * Pinned feeds are not closed when the FeedStore exceeds the max number of opened feeds.
+   *
+   * @type {boolean}
+   */
+  get pinned () {
+    return this._pins > 0 || this._holders.size > 0;
+  }
+
+  /**
+   * Pin the feed while it's in use.
+   *
+   * @returns {function} unpin
+   */
+  pin () {
+    this._pins++;
+
+    let pinned = true;
+    return () => {
+      if (!pinned) {
+        return;
+      }
+
+      pinned = false;
+      this._pins--;
+      if (this._pins === 0) {
+        this._emit('unpinned').catch(() => {});
+      }
+    };
+  }
+
+  /**
+   * Owners holding the feed and the number of handles of each one.
+   *
+   * @type {{ owner: *, count: number }[]}
+   */
+  get holders () {
+    return Array.from(this._holders, ([owner, count]) => ({ owner, count }));
+  }
+
+  /**
+   * Add a handle of the feed for an owner.
+   *
+   * @param {*} owner
+   */
+  acquire (owner) {
+    this._holders.set(owner, (this._holders.get(owner) || 0) + 1);
+  }
+
+  /**
+   * Release a handle of the feed.
+   *
+   * @param {*} owner
+   * @returns {boolean} true if it was the last handle of the feed.
+   */
+  release (owner) {
+    const count = this._holders.get(owner);
+    if (!count) {
+      throw new Error(`Feed not held by owner: ${owner}`);
+    }
+
+    if (count > 1) {
+      this._holders.set(owner, count - 1);
+    } else {
+      this._holders.delete(owner);
+    }
+
+    return this._holders.size === 0;
+  }
+
+  /**
+   * Length of the feed without the blocks appended by pending transactions.
+   *
+   * @type {number}
+   */
+  get visibleLength () {
+    const length = this._feed ? this._feed.length : 0;
+    return Math.min(length, ...Array.from(this._hidden, ({ from }) => from));
+  }
+
+  /**
+   * Hide the blocks appended from the current length of the feed until `show` is called.
+   *
+   * @returns {function} show
+   */
+  hide () {
+    const range = { from: this._feed.length };
+    this._hidden.add(range);
+
+    return () => {
+      if (!this._hidden.delete(range)) {
+        return;
+      }
+
+      const listeners = this._visibleListeners;
+      this._visibleListeners = [];
+      listeners.forEach(listener => listener());
+    };
+  }
+
+  /**
+   * Execute a callback once when hidden blocks become visible.
+   *
+   * @param {function} listener
+   */
+  onVisible (listener) {
+    this._visibleListeners.push(listener);
+  }
+
+  /**
+   * Lock wait times of the descriptor.
+   *
+   * @type {{ locks: number, waiting: number, totalWaitTime: number, maxWaitTime: number }}
+   */
+  get lockStats () {
+    return this._locker.stats;
   }
 
   /*
@@ -185,13 +439,16 @@ export class FeedDescriptor {
   async close () {
     const release = await this.lock();
 
+    // The handles of the owners are closed with the feed.
     if (!this.opened) {
+      this._holders.clear();
       await release();
       return;
     }
 
     try {
       await pify(this._feed.close.bind(this._feed))();
+      this._holders.clear();
       await this._emit('closed');
       await release();
     } catch (err) {
@@ -200,6 +457,47 @@ export class FeedDescriptor {
     }
   }
 
+  /**
+   * Close the Hypercore and remove every file of its storage.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.secure=false] Overwrite the secret key file with random data before removing it.
+   * @returns {Promise}
+   */
+  async destroy (options = {}) {
+    const { secure = false } = options;
+
+    const release = await this.lock();
+
+    try {
+      if (this.opened) {
+        await pify(this._feed.close.bind(this._feed))();
+        await this._emit('closed');
+      }
+
+      const createStorage = this._createStorage(this._key.toString('hex'), { rmdir: true });
+
+      if (secure) {
+        await wipeStorage(createStorage('secret_key'));
+      }
+
+      await Promise.all(STORAGE_FILES.map(name => destroyStorage(createStorage(name))));
+      await release();
+    } catch (err) {
+      await release();
+      throw err;
+    }
+  }
+
+  /**
+   * Read the public key stored in the feed storage.
+   *
+   * @returns {Promise<Buffer|null>} null if the storage of the feed is missing.
+   */
+  async readStoredKey () {
+    return readStoredKey(this._createStorage(this._key.toString('hex'))('key'));
+  }
+
   /**
    * Watch for descriptor events.
    *
@@ -215,27 +513,41 @@ export class FeedDescriptor {
    *
    * @private
    * @param {string} dir
+   * @param {Object} [options] Options for random-access-file.
    * @returns {Function}
    */
-  _createStorage (dir) {
+  _createStorage (dir, options = {}) {
     const ras = this._storage;
 
     return (name) => {
       if (typeof ras === 'string') {
-        return raf(path.join(ras, dir, name));
+        return raf(path.join(dir, name), { ...options, directory: ras });
       }
       return ras(`${dir}/${name}`);
     };
   }
 
   async _open () {
+    if (this._schema) {
+      // Fails before opening the feed if the schema is not registered.
+      this._schemas.get(this._schema);
+    }
+
+    let valueEncoding = (typeof this._valueEncoding === 'string' && this._codecs[this._valueEncoding]) ||
+      this._valueEncoding;
+
+    if (this._contentKey) {
+      valueEncoding = createEncryptedCodec(valueEncoding, this._contentKey);
+    }
+
+    this._codec = codecs(valueEncoding);
+
     this._feed = this._hypercore(
       this._createStorage(this._key.toString('hex')),
       this._key,
       {
         secretKey: this._secretKey,
-        valueEncoding: (typeof this._valueEncoding === 'string' && this._codecs[this._valueEncoding]) ||
-          this._valueEncoding
+        valueEncoding
       }
     );
 
@@ -252,4 +564,43 @@ export class FeedDescriptor {
   }
 }
 
+/**
+ * Remove a file ignoring if it doesn't exist.
+ *
+ * @param {RandomAccessStorage} storage
+ * @returns {Promise}
+ */
+async function destroyStorage (storage) {
+  try {
+    await pify(storage.destroy.bind(storage))();
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+}
+
+/**
+ * Overwrite the content of a file with random data.
+ *
+ * @param {RandomAccessStorage} storage
+ * @returns {Promise}
+ */
+async function wipeStorage (storage) {
+  let size = 0;
+  try {
+    ({ size } = await pify(storage.stat.bind(storage))());
+  } catch (err) {
+    // Nothing to wipe.
+  }
+
+  if (size > 0) {
+    const data = Buffer.alloc(size);
+    sodium.randombytes_buf(data);
+    await pify(storage.write.bind(storage))(0, data);
+  }
+
+  await pify(storage.close.bind(storage))();
+}
+
 export default FeedDescriptor;
@@ -0,0 +1,218 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import assert from 'assert';
+import crypto from 'hypercore-crypto';
+import pify from 'pify';
+
+export const GROUP_NAMESPACE = '@group';
+
+/**
+ * Logical feed composed of the feeds of several writers.
+ *
+ * The membership is persisted in the IndexDB under `@group/<name>` and the feed of each
+ * writer is stored in the path `@group/<name>/<writer key>`.
+ */
+export default class FeedGroup {
+  /**
+   * constructor
+   *
+   * @param {FeedStore} feedStore
+   * @param {IndexDB} indexDB
+   * @param {string} name
+   */
+  constructor (feedStore, indexDB, name) {
+    assert(feedStore);
+    assert(indexDB);
+    assert(name && typeof name === 'string', 'name is required and must be a valid string.');
+
+    this._feedStore = feedStore;
+    this._indexDB = indexDB;
+    this._name = name;
+
+    /** @type {Buffer[]} */
+    this._writers = [];
+
+    /** @type {Buffer|null} */
+    this._local = null;
+
+    /** @type {Set<string>} */
+    this._held = new Set();
+  }
+
+  /**
+   * @type {string}
+   */
+  get name () {
+    return this._name;
+  }
+
+  /**
+   * Descriptors of the writers of the group.
+   *
+   * @type {FeedDescriptor[]}
+   */
+  get descriptors () {
+    return this._writers
+      .map(key => this._feedStore.getDescriptors().find(fd => fd.key.equals(key)))
+      .filter(Boolean);
+  }
+
+  /**
+   * Opened feeds of the writers of the group.
+   *
+   * @type {Hypercore[]}
+   */
+  get feeds () {
+    return this.descriptors.filter(descriptor => descriptor.opened).map(descriptor => descriptor.feed);
+  }
+
+  /**
+   * Descriptor of the local writer.
+   *
+   * @type {FeedDescriptor|null}
+   */
+  get local () {
+    return (this._local && this.descriptors.find(descriptor => descriptor.key.equals(this._local))) || null;
+  }
+
+  /**
+   * Check if a descriptor belongs to the group.
+   *
+   * @param {FeedDescriptor} descriptor
+   * @returns {boolean}
+   */
+  has (descriptor) {
+    return this._writers.some(key => key.equals(descriptor.key));
+  }
+
+  /**
+   * Load the persisted membership and open the feeds of the writers.
+   *
+   * @returns {Promise}
+   */
+  async load () {
+    const data = await this._indexDB.get(this._groupKey());
+    if (!data) {
+      return;
+    }
+
+    this._writers = data.writers;
+    this._local = data.local || null;
+
+    await Promise.all(this._writers.map(key => this._openWriter(key)));
+  }
+
+  /**
+   * Add the local writer of the group, it's created only once.
+   *
+   * @returns {Promise<Hypercore>}
+   */
+  async addLocalWriter () {
+    if (this._local) {
+      return this._openWriter(this._local);
+    }
+
+    const { publicKey, secretKey } = crypto.keyPair();
+
+    const feed = await this._addWriter(publicKey, secretKey);
+    this._local = publicKey;
+    await this._persist();
+
+    return feed;
+  }
+
+  /**
+   * Add a remote writer to the group.
+   *
+   * @param {Buffer} key Public key of the writer feed.
+   * @returns {Promise<Hypercore>}
+   */
+  async addWriter (key) {
+    assert(Buffer.isBuffer(key), 'key must be a buffer.');
+
+    if (this._writers.find(writer => writer.equals(key))) {
+      return this._openWriter(key);
+    }
+
+    const feed = await this._addWriter(key);
+    await this._persist();
+
+    return feed;
+  }
+
+  /**
+   * Append a message to the feed of the local writer.
+   *
+   * @param {*} message
+   * @returns {Promise<number>} Seq of the message.
+   */
+  async append (message) {
+    if (!this._local) {
+      throw new Error(`Group without local writer: ${this._name}`);
+    }
+
+    const feed = await this._openWriter(this._local);
+    return pify(feed.append.bind(feed))(message);
+  }
+
+  /**
+   * Creates a ReadableStream from the feeds of the group.
+   *
+   * @param {StreamCallback|Object} [callback] Same as `feedStore.createReadStream`.
+   * @returns {ReadableStream}
+   */
+  createReadStream (callback) {
+    return this._feedStore._createReadStream(callback, false, descriptor => this.has(descriptor));
+  }
+
+  /**
+   * Creates a selective ReadableStream from the feeds of the group.
+   *
+   * @param {Evaluator} evaluator
+   * @param {Object} [options] Same as `feedStore.createSelectiveStream`.
+   * @returns {SelectiveReader}
+   */
+  createSelectiveStream (evaluator, options) {
+    return this._feedStore.createSelectiveStream(evaluator, descriptor => this.has(descriptor), options);
+  }
+
+  _groupKey () {
+    return `${GROUP_NAMESPACE}/${this._name}`;
+  }
+
+  async _addWriter (key, secretKey) {
+    // Added before opening the feed so the group streams receive it.
+    this._writers.push(key);
+
+    try {
+      return await this._openWriter(key, secretKey);
+    } catch (err) {
+      this._writers = this._writers.filter(writer => writer !== key);
+      throw err;
+    }
+  }
+
+  async _openWriter (key, secretKey) {
+    const writer = key.toString('hex');
+
+    // The group holds a single handle of the feed of each writer.
+    const feed = await this._feedStore.openFeed(`${this._groupKey()}/${writer}`, {
+      key,
+      secretKey,
+      owner: this._held.has(writer) ? undefined : this._groupKey()
+    });
+
+    this._held.add(writer);
+    return feed;
+  }
+
+  async _persist () {
+    await this._indexDB.put(this._groupKey(), {
+      name: this._name,
+      local: this._local || undefined,
+      writers: this._writers
+    });
+  }
+}
@@ -0,0 +1,83 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import eos from 'end-of-stream-promise';
+import pify from 'pify';
+import tempy from 'tempy';
+import crypto from 'hypercore-crypto';
+import waitForExpect from 'wait-for-expect';
+
+import { FeedStore } from './feed-store';
+
+describe('FeedGroup', () => {
+  test('append and read the writers of a group', async () => {
+    const root = tempy.directory();
+    let feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'utf-8' } });
+
+    const other = await feedStore.openFeed('/other');
+    await pify(other.append.bind(other))('other');
+
+    let group = await feedStore.openGroup('doc');
+    await expect(group.append('local0')).rejects.toThrow('Group without local writer: doc');
+
+    const local = await group.addLocalWriter();
+    await group.append('local0');
+    expect(local.length).toBe(1);
+    expect(group.local.key).toEqual(local.key);
+
+    const { publicKey } = crypto.keyPair();
+    await group.addWriter(publicKey);
+    expect(group.descriptors.map(fd => fd.key)).toEqual([local.key, publicKey]);
+    expect(feedStore.getHolders().map(({ holders }) => holders)).toEqual([
+      [{ owner: '@group/doc', count: 1 }],
+      [{ owner: '@group/doc', count: 1 }]
+    ]);
+
+    const messages = [];
+    const stream = group.createReadStream();
+    stream.on('data', msg => messages.push(msg.data));
+    await eos(stream);
+    expect(messages).toEqual(['local0']);
+
+    await feedStore.close();
+
+    // The membership is persisted.
+    feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'utf-8' } });
+    group = await feedStore.openGroup('doc');
+    expect(group.feeds.map(feed => feed.key)).toEqual([local.key, publicKey]);
+    await group.append('local1');
+    expect(group.local.feed.length).toBe(2);
+
+    await feedStore.close();
+  });
+
+  test('group streams receive the writers added later', async () => {
+    const feedStore = await FeedStore.create(tempy.directory(), { feedOptions: { valueEncoding: 'utf-8' } });
+    await feedStore.openFeed('/other');
+
+    const group = await feedStore.openGroup('doc');
+
+    const messages = [];
+    const stream = group.createReadStream({ live: true });
+    stream.on('data', msg => messages.push(msg.data));
+
+    const selected = [];
+    const selective = group.createSelectiveStream(async () => true);
+    selective.on('data', msg => selected.push(msg.data));
+
+    await group.addLocalWriter();
+    await group.append('local0');
+    const other = await feedStore.openFeed('/other');
+    await pify(other.append.bind(other))('other');
+
+    await waitForExpect(() => {
+      expect(messages).toEqual(['local0']);
+      expect(selected).toEqual(['local0']);
+    });
+
+    stream.destroy();
+    selective.destroy();
+    await feedStore.close();
+  });
+});
@@ -4,19 +4,47 @@
 
 import { EventEmitter } from 'events';
 import assert from 'assert';
+import debug from 'debug';
 import hypertrie from 'hypertrie';
 import jsonBuffer from 'buffer-json-encoding';
 import defaultHypercore from 'hypercore';
+import crypto from 'hypercore-crypto';
 import nanoresource from 'nanoresource-promise';
 import pEvent from 'p-event';
+import pify from 'pify';
 
+import BlobStore from './blob-store';
 import FeedDescriptor from './feed-descriptor';
+import FeedGroup from './feed-group';
+import { verifyFeed, listStoredFeeds } from './feed-verifier';
+import { DescriptorIndex } from './descriptor-query';
+import { generateContentKey, createAccessGrant, openAccessGrant } from './encryption';
+import EventLog from './event-log';
+import { writeArchive, readArchive } from './feed-archive';
 import IndexDB from './index-db';
+import { iterateStream, iterateFeed } from './iterator';
+import Locker from './locker';
+import MeasuredIndexDB from './measured-index-db';
+import MemoryIndexDB from './memory-index-db';
+import MessageIndex from './message-index';
+import OrderedReader from './ordered-reader';
+import PrefixIndexDB from './prefix-index-db';
 import Reader from './reader';
+import Replicator from './replicator';
+import { applyRetention, validateMaxAge } from './retention';
+import SchemaRegistry from './schema-registry';
+import { deriveKeyPair, deriveNamespaceSeed, validateSeed } from './seed';
 import SelectiveReader from './selective-reader';
+import Transaction, { TRANSACTION_NAMESPACE } from './transaction';
+import WriteQueue, { createWriteStream } from './write-queue';
 
 // TODO(burdon): Change to "dxos.feedstore"?
 const STORE_NAMESPACE = '@feedstore';
+const CHECKPOINT_NAMESPACE = '@checkpoint';
+const ORPHAN_NAMESPACE = '@orphan';
+const NAMESPACE_PREFIX = '@namespace';
+
+const log = debug('dxos:feed-store');
 
 /**
  *
@@ -32,6 +60,28 @@ const STORE_NAMESPACE = '@feedstore';
  * @returns {(Object|undefined)}
  */
 
+/**
+ * Result of `feedStore.verify`.
+ *
+ * @typedef {Object} VerifyReport
+ * @property {boolean} ok No problem was found.
+ * @property {FeedReport[]} feeds
+ * @property {{ path: string, key: Buffer, error: string, repaired: boolean }[]} dangling Descriptors without a valid feed storage.
+ * @property {{ key: Buffer, path: (string|null), repaired: boolean }[]} orphans Feeds stored without a descriptor.
+ */
+
+/**
+ * Receiver of the counters and histograms of the store, e.g. an adapter of a metrics client.
+ *
+ * Metrics: `feedstore.feed.opened`, `feedstore.feed.open.duration`, `feedstore.append` (number of blocks), `feedstore.read`,
+ * `feedstore.persist` and `feedstore.persist.duration` tagged with the `type` of record: `descriptor`, `checkpoint`,
+ * `event`, `blob`, `journal` or `index`.
+ *
+ * @typedef {Object} MetricsSink
+ * @property {(name: string, value: number, tags: Object) => void} counter
+ * @property {(name: string, value: number, tags: Object) => void} histogram Durations are in milliseconds.
+ */
+
 /**
  * FeedStore
  *
@@ -48,9 +98,24 @@ export class FeedStore extends EventEmitter {
    * @param {RandomAccessStorage} storage RandomAccessStorage to use by default by the feeds.
    * @param {Object} options
    * @param {Hypertrie=} options.database Defines a custom hypertrie database to index the feeds.
+   * @param {(string|IndexDBAdapter|function)=} options.indexDB Backend to index the feeds: `hypertrie` (default), `memory`,
+   * an IndexDBAdapter or a function that returns one on each open.
    * @param {Object=} options.feedOptions Default options for each feed.
    * @param {Object=} options.codecs Defines a list of available codecs to work with the feeds.
    * @param {Hypercore=} options.hypercore Hypercore class to use.
+   * @param {Keyring=} options.keyring Keyring used to seal the secret keys and content keys persisted in the database.
+   * @param {Object=} options.retention Options of the job that applies the retention policies of the feeds.
+   * @param {number=} options.retention.interval Interval in milliseconds to apply the retention policies. Disabled by default.
+   * @param {function=} options.retention.timestamp Returns the timestamp of a block data, required by `maxAge`.
+   * @param {Object=} options.schemas Defines a list of available schemas (JSON Schema or protobuf type) by id to validate the feeds.
+   * @param {number=} options.maxOpenFeeds Max number of opened feeds, the least recently used feeds are closed. Unlimited by default.
+   * @param {Object=} options.writeQueue Options of the write queues used by `append` and `createWriteStream`.
+   * @param {number=} options.writeQueue.highWaterMark Max number of queued messages by feed.
+   * @param {number=} options.writeQueue.maxBatch Max number of messages by batch append.
+   * @param {Object=} options.blobs Options of the blob store.
+   * @param {number=} options.blobs.chunkSize Max number of bytes written or read at once.
+   * @param {number=} options.blobs.maxOpenFiles Max number of blob files kept opened. Default: 16.
+   * @param {MetricsSink=} options.metrics Receiver of the metrics of the store.
    * @returns {Promise<FeedStore>}
    * @deprecated
    */
@@ -66,9 +131,25 @@ export class FeedStore extends EventEmitter {
    * @param {RandomAccessStorage} storage RandomAccessStorage to use by default by the feeds.
    * @param {Object} options
    * @param {function=} options.database Defines a custom hypertrie database to index the feeds.
+   * @param {(string|IndexDBAdapter|function)=} options.indexDB Backend to index the feeds: `hypertrie` (default), `memory`,
+   * an IndexDBAdapter or a function that returns one on each open.
    * @param {Object=} options.feedOptions Default options for each feed.
    * @param {Object=} options.codecs Defines a list of available codecs to work with the feeds.
    * @param {Hypercore=} options.hypercore Hypercore class to use.
+   * @param {Keyring=} options.keyring Keyring used to seal the secret keys and content keys persisted in the database.
+   * @param {Object=} options.retention Options of the job that applies the retention policies of the feeds.
+   * @param {number=} options.retention.interval Interval in milliseconds to apply the retention policies. Disabled by default.
+   * @param {function=} options.retention.timestamp Returns the timestamp of a block data, required by `maxAge`.
+   * @param {Object=} options.schemas Defines a list of available schemas (JSON Schema or protobuf type) by id to validate the feeds.
+   * @param {number=} options.maxOpenFeeds Max number of opened feeds, the least recently used feeds are closed. Unlimited by default.
+   * @param {Object=} options.writeQueue Options of the write queues used by `append` and `createWriteStream`.
+   * @param {number=} options.writeQueue.highWaterMark Max number of queued messages by feed.
+   * @param {number=} options.writeQueue.maxBatch Max number of messages by batch append.
+   * @param {Object=} options.blobs Options of the blob store.
+   * @param {number=} options.blobs.chunkSize Max number of bytes written or read at once.
+   * @param {number=} options.blobs.maxOpenFiles Max number of blob files kept opened. Default: 16.
+   * @param {MetricsSink=} options.metrics Receiver of the metrics of the store.
+   * @param {Buffer=} options.seed Master seed to derive the key pairs of the new feeds from their path.
    */
   constructor (storage, options = {}) {
     assert(storage, 'The storage is required.');
@@ -77,25 +158,98 @@ export class FeedStore extends EventEmitter {
 
     this._storage = storage;
 
+    this._options = options;
+
     const {
       database = (...args) => hypertrie(...args),
+      indexDB = 'hypertrie',
       feedOptions = {},
       codecs = {},
-      hypercore = defaultHypercore
+      hypercore = defaultHypercore,
+      keyring = null,
+      retention = {},
+      schemas = {},
+      maxOpenFeeds,
+      writeQueue = {},
+      blobs = {},
+      metrics = null,
+      seed
     } = options;
 
+    assert(!keyring || (typeof keyring.seal === 'function' && typeof keyring.unseal === 'function'),
+      'keyring must implement seal and unseal.');
+    assert(maxOpenFeeds === undefined || (Number.isInteger(maxOpenFeeds) && maxOpenFeeds > 0),
+      'maxOpenFeeds must be a positive integer.');
+    assert(['hypertrie', 'memory'].includes(indexDB) || typeof indexDB === 'function' || typeof indexDB === 'object',
+      'indexDB must be "hypertrie", "memory", an IndexDBAdapter or a function.');
+    validateSeed(seed);
+    assert(!metrics || (typeof metrics.counter === 'function' && typeof metrics.histogram === 'function'),
+      'metrics must implement counter and histogram.');
+
     this._database = database;
 
+    this._indexDBBackend = indexDB;
+
     this._defaultFeedOptions = feedOptions;
 
     this._codecs = codecs;
 
+    this._schemas = new SchemaRegistry(schemas);
+
     this._hypercore = hypercore;
 
+    this._keyring = keyring;
+
+    this._seed = seed;
+
+    this._retention = retention;
+
+    this._retentionTimer = null;
+
+    this._applyingRetention = null;
+
     this._descriptors = new Map();
 
+    this._descriptorIndex = new DescriptorIndex();
+
+    this._maxOpenFeeds = maxOpenFeeds;
+
+    // Descriptors sorted from the least to the most recently used.
+    this._recentlyUsed = new Set();
+
+    this._evicting = new Set();
+
     this._readers = new Set();
 
+    this._replicators = new Set();
+
+    this._checkpointWriters = new Map();
+
+    this._indexes = new Map();
+
+    /** @type {Map<string, Promise<FeedGroup>>} */
+    this._groups = new Map();
+
+    /** @type {Map<string, FeedStore>} */
+    this._namespaces = new Map();
+
+    this._transactionLocker = new Locker();
+
+    // Show the blocks of the failed transactions once their missing blocks are written.
+    /** @type {function[]} */
+    this._hiddenTransactions = [];
+
+    this._writeQueueOptions = writeQueue;
+
+    /** @type {Map<string, WriteQueue>} */
+    this._writeQueues = new Map();
+
+    this._eventLog = new EventLog();
+
+    this._blobs = new BlobStore(storage, blobs);
+
+    this._metrics = metrics;
+
     this._indexDB = null;
 
     this._resource = nanoresource({
@@ -186,6 +340,19 @@ export class FeedStore extends EventEmitter {
     return this._descriptors.get(discoverKey.toString('hex'));
   }
 
+  /**
+   * Find descriptors using a MongoDB like query over `path`, `key`, `discoveryKey`, `opened`, `valueEncoding`, `schema` and `metadata.*`.
+   *
+   * @example
+   * feedStore.findDescriptors({ 'metadata.topic': 'books', opened: false })
+   *
+   * @param {DescriptorQuery} [query]
+   * @returns {FeedDescriptor[]}
+   */
+  findDescriptors (query = {}) {
+    return this._descriptorIndex.find(query);
+  }
+
   /**
    * Get the list of opened feeds, with optional filter.
    *
@@ -241,7 +408,13 @@ export class FeedStore extends EventEmitter {
    * @param {Buffer} options.key
    * @param {Buffer} options.secretKey
    * @param {string} options.valueEncoding
+   * @param {boolean|{ contentKey: Buffer }} options.encryption Encrypt the blocks with a new content key or a shared one.
+   * Without a keyring the content key is persisted unsealed.
    * @param {*} options.metadata
+   * @param {RetentionPolicy} options.retention
+   * @param {string|Schema} options.schema Schema to validate the messages: the id of a registered schema,
+   * a JSON Schema with an `$id` or a protobuf type.
+   * @param {*} options.owner Token of the owner of the handle, the feed is closed when the last handle is released.
    * @returns {Hypercore}
    */
   async openFeed (path, options = {}) {
@@ -266,11 +439,48 @@ export class FeedStore extends EventEmitter {
         throw new Error(`Feed exists with same public key "${key.toString('hex')}"`);
       }
 
+      // The schemas are not persisted, an existing feed can be opened registering its schema again.
+      const schema = options.schema && typeof options.schema === 'object'
+        ? this._schemas.register(options.schema)
+        : options.schema;
+
+      if (descriptor && schema && schema !== descriptor.schema) {
+        throw new Error(`Invalid schema "${schema}" for feed: ${path}`);
+      }
+
       if (!descriptor) {
-        descriptor = this._createDescriptor(path, options);
+        const { encryption } = options;
+        validateMaxAge(options.retention, this._retention.timestamp);
+        descriptor = this._createDescriptor(path, {
+          ...options,
+          ...(!key && this._seed && this._deriveKeys(path)),
+          contentKey: encryption ? encryption.contentKey || generateContentKey() : undefined,
+          schema
+        });
+      }
+
+      const { owner } = options;
+      if (owner !== undefined) {
+        descriptor.acquire(owner);
       }
 
-      const feed = await descriptor.open();
+      this._touch(descriptor);
+
+      const opened = descriptor.opened;
+      const start = Date.now();
+
+      let feed;
+      try {
+        feed = await descriptor.open();
+        if (!opened) {
+          this._metric('histogram', 'feedstore.feed.open.duration', Date.now() - start, { path });
+        }
+      } catch (err) {
+        if (owner !== undefined) {
+          descriptor.release(owner);
+        }
+        throw err;
+      }
 
       this._resource.inactive();
       return feed;
@@ -280,9 +490,61 @@ export class FeedStore extends EventEmitter {
     }
   }
 
+  /**
+   * Release a handle of a feed opened with an owner.
+   *
+   * The feed is closed when the last handle is released if it's not in use by a stream.
+   *
+   * @param {string} path
+   * @param {*} owner
+   * @returns {Promise}
+   */
+  async releaseFeed (path, owner) {
+    assert(path, 'Missing path');
+    assert(owner !== undefined, 'Missing owner');
+
+    await this._isOpen();
+
+    if (!this._resource.active()) {
+      throw new Error('FeedStore closed');
+    }
+
+    try {
+      const descriptor = this.getDescriptors().find(fd => fd.path === path);
+
+      if (!descriptor) {
+        throw new Error(`Feed not found: ${path}`);
+      }
+
+      // A feed in use by a stream is left to the eviction once it's unpinned.
+      if (descriptor.release(owner) && !descriptor.pinned) {
+        await descriptor.close();
+        this._evictFeeds();
+      }
+
+      this._resource.inactive();
+    } catch (err) {
+      this._resource.inactive();
+      throw err;
+    }
+  }
+
+  /**
+   * List the owners holding each feed.
+   *
+   * @returns {{ path: string, key: Buffer, holders: { owner: *, count: number }[] }[]}
+   */
+  getHolders () {
+    return this.getDescriptors()
+      .filter(descriptor => descriptor.holders.length > 0)
+      .map(({ path, key, holders }) => ({ path, key, holders }));
+  }
+
   /**
    * Close a feed by the path.
    *
+   * The feed is closed for every owner, use `releaseFeed` to release a single handle.
+   *
    * @param {string} path
    * @returns {Promise}
    */
@@ -344,9 +606,16 @@ export class FeedStore extends EventEmitter {
     try {
       release = await descriptor.lock();
 
-      await this._indexDB.delete(`${STORE_NAMESPACE}/${descriptor.key.toString('hex')}`);
+      await this._indexDB.delete(this._getDescriptorKey(descriptor));
 
       this._descriptors.delete(descriptor.discoveryKey.toString('hex'));
+      this._descriptorIndex.delete(descriptor);
+      this._recentlyUsed.delete(descriptor);
+
+      // The next append creates the feed again.
+      this._writeQueues.delete(path);
+
+      await this._logEvent('deleted', descriptor);
 
       this.emit('descriptor-remove', descriptor);
       await release();
@@ -359,195 +628,1816 @@ export class FeedStore extends EventEmitter {
   }
 
   /**
-   * Creates a ReadableStream from the loaded feeds.
+   * Replace the keyring and re-seal the secret keys of every persisted descriptor.
    *
-   * @param {StreamCallback|Object} [callback] Filter function to return options for each feed.createReadStream (returns `false` will ignore the feed) or default object options for each feed.createReadStream(options)
-   * @returns {ReadableStream}
-   */
-  createReadStream (callback = () => true) {
-    return this._createReadStream(callback);
-  }
-
-  /**
+   * Passing `null` stores the secret keys unsealed.
    *
-   * @param {(feedDescriptor: FeedDescriptor, message: object) => Promise<boolean>} evaluator
+   * @param {Keyring|null} keyring
+   * @returns {Promise}
    */
-  createSelectiveStream (evaluator) {
-    const reader = new SelectiveReader(evaluator);
+  async rotateKeyring (keyring) {
+    assert(!keyring || (typeof keyring.seal === 'function' && typeof keyring.unseal === 'function'),
+      'keyring must implement seal and unseal.');
 
-    this._readers.add(reader);
+    await this._isOpen();
 
-    this
-      ._isOpen()
-      .then(() => {
-        return reader.addInitialFeedStreams(this
-          .getDescriptors()
-          .filter(descriptor => descriptor.opened));
-      })
-      .catch(err => {
-        reader.destroy(err);
+    if (!this._resource.active()) {
+      throw new Error('FeedStore closed');
+    }
+
+    const releases = [];
+    try {
+      // The records are re-sealed before writing them in a single batch, a failure keeps the old keyring.
+      const stores = [];
+      const ops = await this._resealRecords(keyring, stores, releases);
+
+      await this._indexDB.batch(ops);
+      stores.forEach(store => {
+        store._keyring = keyring;
       });
 
-    return reader;
+      await Promise.all(releases.map(release => release()));
+      this._resource.inactive();
+    } catch (err) {
+      await Promise.all(releases.map(release => release()));
+      this._resource.inactive();
+      throw err;
+    }
   }
 
   /**
-   * Creates a ReadableStream from the loaded feeds and returns the messages in batch.
+   * Lock the descriptors of the store and its namespaces and re-seal their records with a keyring.
    *
-   * @param {StreamCallback|Object} [callback] Filter function to return options for each feed.createReadStream (returns `false` will ignore the feed) or default object options for each feed.createReadStream(options)
-   * @returns {ReadableStream}
-   */
-  createBatchStream (callback = () => true) {
-    return this._createReadStream(callback, true);
-  }
-
-  /**
-   * Initialized FeedStore reading the persisted options and created each FeedDescriptor.
+   * The persisted namespaces are opened, the namespaces opened with their own keyring are skipped.
    *
-   * @returns {Promise}
+   * @private
+   * @param {Keyring|null} keyring
+   * @param {FeedStore[]} stores Receives the stores whose records are re-sealed.
+   * @param {function[]} releases Receives the release functions of the locks.
+   * @returns {Promise<{ type: string, key: string, value: Object }[]>} Operations over the IndexDB of the store.
    */
-  async _open () {
-    this._indexDB = new IndexDB(this._database(this._storage, { valueEncoding: jsonBuffer }));
+  async _resealRecords (keyring, stores, releases) {
+    stores.push(this);
 
-    const list = await this._indexDB.list(STORE_NAMESPACE);
+    const ops = [];
+    for (const descriptor of this.getDescriptors()) {
+      releases.push(await descriptor.lock());
+      ops.push({ type: 'put', key: this._getDescriptorKey(descriptor), value: await this._createRecord(descriptor, keyring) });
+    }
 
-    list.forEach(data => {
-      const { path, ...options } = data;
-      this._createDescriptor(path, options);
-    });
+    const entries = await this._indexDB.entries(NAMESPACE_PREFIX);
+    const names = new Set(entries.map(({ key }) => key.replace(/^\//, '').split('/')[1]));
+    for (const name of names) {
+      const namespace = await this.namespace(name);
+      if (namespace._keyring !== this._keyring) {
+        continue;
+      }
 
-    this.emit('opened');
+      const namespaceOps = await namespace._resealRecords(keyring, stores, releases);
+      ops.push(...namespaceOps.map(op => ({ ...op, key: `${NAMESPACE_PREFIX}/${name}/${op.key}` })));
+    }
 
-    // backward compatibility
-    this.emit('ready');
+    return ops;
   }
 
   /**
-   * Close the hypertrie and their feeds.
+   * Re-create the descriptors of feeds whose keys were derived from the master seed.
    *
+   * The existing data of the feeds in the storage is used, the missing blocks can be replicated from other peers.
+   *
+   * @param {string[]} paths Paths of the feeds.
+   * @param {Object} [options] Options of `openFeed` for each feed.
+   * @returns {Promise<Hypercore[]>}
    */
-  async _close () {
-    this._readers.forEach(reader => {
-      try {
-        reader.destroy(new Error('FeedStore closed'));
-      } catch (err) {
-        // ignore
-      }
-    });
-
-    await Promise.all(this
-      .getDescriptors()
-      .map(descriptor => descriptor.close())
-    );
-
-    this._descriptors.clear();
+  async recoverFromSeed (paths, options = {}) {
+    assert(Array.isArray(paths), 'paths must be an array.');
 
-    await this._indexDB.close();
+    if (!this._seed) {
+      throw new Error('Missing seed to derive the feed keys');
+    }
 
-    this.emit('closed');
+    return Promise.all(paths.map(path => this.openFeed(path, { ...options, ...this._deriveKeys(path) })));
   }
 
   /**
-   * Factory to create a new FeedDescriptor.
+   * Grant read access to an encrypted feed sealing its public key and content key for a recipient.
    *
-   * @private
-   * @param path
-   * @param {Object} options
-   * @param {Buffer} options.key
-   * @param {Buffer} options.secretKey
-   * @param {string} options.valueEncoding
-   * @param {*} options.metadata
-   * @returns {FeedDescriptor}
+   * @param {string} path
+   * @param {Buffer} publicKey Access public key of the recipient, see `generateAccessKeyPair`.
+   * @returns {Promise<Buffer>} grant
    */
-  _createDescriptor (path, options) {
-    const defaultOptions = this._defaultFeedOptions;
-
-    const { key, secretKey, valueEncoding = defaultOptions.valueEncoding, metadata } = options;
-
-    const descriptor = new FeedDescriptor(path, {
-      storage: this._storage,
-      key,
-      secretKey,
-      valueEncoding,
-      metadata,
-      hypercore: this._hypercore,
-      codecs: this._codecs
-    });
-
-    this._descriptors.set(
-      descriptor.discoveryKey.toString('hex'),
-      descriptor
-    );
+  async grantReadAccess (path, publicKey) {
+    assert(path, 'Missing path');
 
-    const append = () => this.emit('append', descriptor.feed, descriptor);
-    const download = (...args) => this.emit('download', ...args, descriptor.feed, descriptor);
+    await this._isOpen();
 
-    descriptor.watch(async (event) => {
-      if (event === 'updated') {
-        await this._persistDescriptor(descriptor);
-        return;
-      }
+    if (!this._resource.active()) {
+      throw new Error('FeedStore closed');
+    }
 
-      const { feed } = descriptor;
+    try {
+      const descriptor = this.getDescriptors().find(fd => fd.path === path);
 
-      if (event === 'opened') {
-        await this._persistDescriptor(descriptor);
-        feed.on('append', append);
-        feed.on('download', download);
-        this.emit('feed', feed, descriptor);
-        return;
+      if (!descriptor) {
+        throw new Error(`Feed not found: ${path}`);
       }
 
-      if (event === 'closed') {
-        feed.removeListener('append', append);
-        feed.removeListener('download', download);
+      if (!descriptor.encrypted) {
+        throw new Error(`Feed not encrypted: ${path}`);
       }
-    });
 
-    return descriptor;
+      const grant = createAccessGrant(descriptor.key, descriptor.contentKey, publicKey);
+      this._resource.inactive();
+      return grant;
+    } catch (err) {
+      this._resource.inactive();
+      throw err;
+    }
   }
 
   /**
-   * Persist in the db the FeedDescriptor.
+   * Open an encrypted feed of another store using a grant created by `grantReadAccess`.
    *
-   * @private
-   * @param {FeedDescriptor} descriptor
-   * @returns {Promise}
+   * @param {string} path
+   * @param {Buffer} grant
+   * @param {{ publicKey: Buffer, secretKey: Buffer }} keyPair Access key pair of the recipient.
+   * @param {Object} [options] Options of `openFeed`.
+   * @returns {Promise<Hypercore>}
    */
-  async _persistDescriptor (descriptor) {
-    const key = `${STORE_NAMESPACE}/${descriptor.key.toString('hex')}`;
+  async acceptReadAccess (path, grant, keyPair, options = {}) {
+    const { key, contentKey } = openAccessGrant(grant, keyPair);
 
-    const oldData = await this._indexDB.get(key);
+    return this.openFeed(path, { ...options, key, encryption: { contentKey } });
+  }
 
-    const newData = {
-      path: descriptor.path,
-      key: descriptor.key,
-      secretKey: descriptor.secretKey,
-      valueEncoding: typeof descriptor.valueEncoding === 'string' ? descriptor.valueEncoding : undefined,
-      metadata: descriptor.metadata
-    };
+  /**
+   * Remove a descriptor from the indexDB, close its feed and remove the feed storage.
+   *
+   * @param {string} path
+   * @param {Object} [options]
+   * @param {boolean} [options.secure=false] Overwrite the secret key file with random data before removing it.
+   * @returns {Promise}
+   */
+  async destroyFeed (path, options = {}) {
+    assert(path, 'Missing path');
 
-    if (!oldData || (JSON.stringify(oldData.metadata) !== JSON.stringify(newData.metadata))) {
-      await this._indexDB.put(key, newData);
-    }
-  }
+    await this._isOpen();
 
-  async _isOpen () {
-    if (this.closing || this.closed) {
+    if (!this._resource.active()) {
       throw new Error('FeedStore closed');
     }
 
-    if (this.opened) {
-      return;
-    }
-
-    return this.ready();
-  }
-
-  _createReadStream (callback, inBatch = false) {
-    const reader = new Reader(callback, inBatch);
+    try {
+      const descriptor = this.getDescriptors().find(fd => fd.path === path);
 
+      if (!descriptor) {
+        throw new Error(`Feed not found: ${path}`);
+      }
+
+      // The descriptor is kept if the storage can't be removed.
+      await descriptor.destroy(options);
+      await this.deleteDescriptor(path);
+      await this._blobs.unreferenceAll(descriptor.key.toString('hex'));
+      this._resource.inactive();
+    } catch (err) {
+      this._resource.inactive();
+      throw err;
+    }
+  }
+
+  /**
+   * Export a feed as an archive with the descriptor information and the signed blocks.
+   *
+   * @param {string} path
+   * @param {WritableStream} stream The stream is ended after writing the archive.
+   * @param {Object} [options]
+   * @param {boolean} [options.secretKey=false] Include the secret key in the archive.
+   * @param {boolean} [options.contentKey=true] Include the content key of an encrypted feed in the archive.
+   * @returns {Promise}
+   */
+  async exportFeed (path, stream, options = {}) {
+    assert(path, 'Missing path');
+    assert(stream, 'Missing stream');
+
+    await this._isOpen();
+
+    if (!this._resource.active()) {
+      throw new Error('FeedStore closed');
+    }
+
+    try {
+      const descriptor = this.getDescriptors().find(fd => fd.path === path);
+
+      if (!descriptor) {
+        throw new Error(`Feed not found: ${path}`);
+      }
+
+      // Keeps the feed opened while it's exported.
+      const unpin = descriptor.pin();
+      try {
+        await descriptor.open();
+        await writeArchive(descriptor, stream, options);
+      } finally {
+        unpin();
+      }
+
+      this._resource.inactive();
+    } catch (err) {
+      this._resource.inactive();
+      throw err;
+    }
+  }
+
+  /**
+   * Import a feed archive created by `exportFeed`.
+   *
+   * Each block is verified against the public key of the archive before creating the descriptor.
+   *
+   * @param {ReadableStream} stream
+   * @param {Object} [options]
+   * @param {string} [options.path] Path of the new feed, by default the path of the archive.
+   * @param {*} [options.metadata] Metadata of the new feed, by default the metadata of the archive.
+   * @param {RetentionPolicy} [options.retention] Retention policy of the new feed, by default the policy of the archive.
+   * @param {string|Schema} [options.schema] Schema of the new feed, by default the schema id of the archive. It must be registered.
+   * @param {Buffer} [options.contentKey] Content key of an encrypted feed, by default the content key of the archive.
+   * @returns {Promise<Hypercore>}
+   */
+  async importFeed (stream, options = {}) {
+    assert(stream, 'Missing stream');
+
+    await this._isOpen();
+
+    if (!this._resource.active()) {
+      throw new Error('FeedStore closed');
+    }
+
+    let importer;
+    try {
+      const records = readArchive(stream);
+
+      const { value: header } = await records.next();
+      const { path = header.path, metadata = header.metadata, retention = header.retention } = options;
+      const { key, secretKey, valueEncoding, encrypted } = header;
+      const { contentKey = header.contentKey } = options;
+
+      if (encrypted && !contentKey) {
+        throw new Error('Missing content key of the encrypted feed');
+      }
+
+      const schema = options.schema && typeof options.schema === 'object'
+        ? this._schemas.register(options.schema)
+        : options.schema || header.schema;
+      if (schema) {
+        // Fails before importing the blocks if the schema is not registered.
+        this._schemas.get(schema);
+      }
+
+      validateMaxAge(retention, this._retention.timestamp);
+
+      if (this.getDescriptors().find(fd => fd.path === path)) {
+        throw new Error(`Feed exists with same path "${path}"`);
+      }
+
+      if (this.getDescriptors().find(fd => fd.key.equals(key))) {
+        throw new Error(`Feed exists with same public key "${key.toString('hex')}"`);
+      }
+
+      if (secretKey && !secretKey.slice(32).equals(key)) {
+        throw new Error('Invalid secret key');
+      }
+
+      // The blocks are written in their raw format before the descriptor is created.
+      importer = new FeedDescriptor(path, {
+        storage: this._storage,
+        key,
+        secretKey,
+        valueEncoding: 'binary',
+        hypercore: this._hypercore
+      });
+
+      const feed = await importer.open();
+
+      for await (const { type, index, data, proof } of records) {
+        if (type === 'block') {
+          await pify(feed.put.bind(feed))(index, data, proof);
+        }
+      }
+
+      await importer.close();
+
+      const descriptor = this._createDescriptor(path, {
+        key,
+        secretKey,
+        valueEncoding,
+        contentKey: encrypted ? contentKey : undefined,
+        metadata,
+        retention,
+        schema
+      });
+      const newFeed = await descriptor.open();
+
+      this._resource.inactive();
+      return newFeed;
+    } catch (err) {
+      if (importer) {
+        await importer.destroy().catch(() => {});
+      }
+
+      this._resource.inactive();
+      throw err;
+    }
+  }
+
+  /**
+   * Clear the blocks of the opened feeds that exceed their retention policy.
+   *
+   * It runs periodically if `options.retention.interval` is defined.
+   *
+   * @returns {Promise}
+   */
+  async applyRetention () {
+    await this._isOpen();
+
+    if (!this._applyingRetention) {
+      this._applyingRetention = this._applyRetention().finally(() => {
+        this._applyingRetention = null;
+      });
+    }
+
+    return this._applyingRetention;
+  }
+
+  /**
+   * Check the integrity of the storage.
+   *
+   * Every feed is opened to verify that its stored public key matches the descriptor, the secret key matches
+   * the public key and the stored blocks match the signed merkle tree. The feed directories without
+   * descriptor (orphans) are only detected when the storage is a directory.
+   *
+   * Repairing drops the dangling descriptors, clears the invalid blocks and registers the orphans in `@orphan/<key>`.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.repair=false]
+   * @returns {Promise<VerifyReport>}
+   */
+  async verify (options = {}) {
+    const { repair = false } = options;
+
+    await this._isOpen();
+
+    if (!this._resource.active()) {
+      throw new Error('FeedStore closed');
+    }
+
+    try {
+      const report = { ok: true, feeds: [], dangling: [], orphans: [] };
+
+      for (const descriptor of this.getDescriptors()) {
+        const { path, key } = descriptor;
+
+        if (!descriptor.opened) {
+          const storedKey = await descriptor.readStoredKey();
+          if (!storedKey || !storedKey.equals(key)) {
+            if (repair) {
+              await this.deleteDescriptor(path);
+            }
+
+            const error = storedKey ? 'Stored public key does not match the descriptor' : 'Missing feed storage';
+            report.dangling.push({ path, key, error, repaired: repair });
+            continue;
+          }
+        }
+
+        // Keeps the feed opened while it's verified.
+        const unpin = descriptor.pin();
+        try {
+          await descriptor.open();
+          report.feeds.push(await verifyFeed(descriptor, { repair }));
+        } catch (err) {
+          report.feeds.push({ path, key, length: 0, invalidBlocks: [], errors: [err.message], repaired: false });
+        } finally {
+          unpin();
+        }
+      }
+
+      if (typeof this._storage === 'string') {
+        for (const { key, secretKey } of await listStoredFeeds(this._storage)) {
+          if (this.getDescriptors().find(fd => fd.key.equals(key))) {
+            continue;
+          }
+
+          let path = null;
+          if (repair) {
+            path = `${ORPHAN_NAMESPACE}/${key.toString('hex')}`;
+            await this._createDescriptor(path, { key, secretKey }).open();
+          }
+
+          report.orphans.push({ key, path, repaired: repair });
+        }
+      }
+
+      report.ok = report.feeds.every(({ errors }) => errors.length === 0) &&
+        report.dangling.length === 0 &&
+        report.orphans.length === 0;
+
+      this._resource.inactive();
+      return report;
+    } catch (err) {
+      this._resource.inactive();
+      throw err;
+    }
+  }
+
+  /**
+   * Creates a ReadableStream from the loaded feeds.
+   *
+   * The options object also accepts:
+   * - `checkpoint`: a previous `stream.state()`, each feed starts reading at seq + 1.
+   * - `consumer`: name of a consumer, its checkpoint is persisted in the indexDB with the last message
+   *   received by the consumer and used on the next stream.
+   *
+   * @param {StreamCallback|Object} [callback] Filter function to return options for each feed.createReadStream (returns `false` will ignore the feed) or default object options for each feed.createReadStream(options)
+   * @returns {ReadableStream}
+   */
+  createReadStream (callback = () => true) {
+    return this._createReadStream(callback);
+  }
+
+  /**
+   * Creates a ReadableStream that emits the messages accepted by the evaluator, a rejected message blocks its feed.
+   *
+   * The evaluator can return a dependency hint `{ waitFor: { key, seq } }` to evaluate the message again
+   * only after that message is emitted.
+   *
+   * @param {Evaluator} evaluator
+   * @param {DescriptorCallback} [filter] Defines which feeds are read.
+   * @param {Object} [options]
+   * @param {number} [options.stallTimeout] Milliseconds without emitting a message to emit `stalled` with the blocked heads.
+   * @returns {SelectiveReader}
+   */
+  createSelectiveStream (evaluator, filter, options) {
+    const reader = new SelectiveReader(evaluator, filter, options);
+
+    this._readers.add(reader);
+    this._measureReads(reader);
+
+    this
+      ._isOpen()
+      .then(() => {
+        return reader.addInitialFeedStreams(this
+          .getDescriptors()
+          .filter(descriptor => descriptor.opened));
+      })
+      .catch(err => {
+        reader.destroy(err);
+      });
+
+    return reader;
+  }
+
+  /**
+   * Get the persisted checkpoint of a consumer.
+   *
+   * @param {string} consumer
+   * @returns {Promise<Object>} Last read seq by feed key.
+   */
+  async getCheckpoint (consumer) {
+    assert(consumer, 'Missing consumer');
+
+    await this._isOpen();
+
+    const checkpoint = await this._indexDB.get(`${CHECKPOINT_NAMESPACE}/${consumer}`);
+    return checkpoint || {};
+  }
+
+  /**
+   * Remove the persisted checkpoint of a consumer, the next stream will read from the beginning.
+   *
+   * @param {string} consumer
+   * @returns {Promise}
+   */
+  async deleteCheckpoint (consumer) {
+    assert(consumer, 'Missing consumer');
+
+    await this._isOpen();
+
+    const writer = this._checkpointWriters.get(consumer);
+    if (writer) {
+      await writer.done;
+    }
+
+    await this._indexDB.delete(`${CHECKPOINT_NAMESPACE}/${consumer}`);
+  }
+
+  /**
+   * Creates a protocol stream to replicate the opened feeds and the feeds opened later.
+   *
+   * Feeds requested by the remote peer are found by their discovery key and opened if needed,
+   * unknown feeds can be opened through the `authorize` callback.
+   *
+   * @param {Object} [options]
+   * @param {Buffer} [options.key] Key of the first channel used for the handshake and the encryption of the stream.
+   * @param {DescriptorCallback} [options.filter] Defines which feeds are replicated.
+   * @param {AuthorizeCallback} [options.authorize] Returns the `{ path, key, ...options }` to open an unknown feed or `undefined` to ignore it.
+   * @param {boolean} [options.live=true]
+   * @returns {DuplexStream}
+   */
+  replicate (options = {}) {
+    const replicator = new Replicator(this, options);
+
+    this._replicators.add(replicator);
+
+    replicator.onEnd(() => {
+      this._replicators.delete(replicator);
+    });
+
+    this
+      ._isOpen()
+      .then(() => {
+        return replicator.addInitialFeeds(this
+          .getDescriptors()
+          .filter(descriptor => descriptor.opened));
+      })
+      .catch(err => {
+        replicator.destroy(err);
+      });
+
+    return replicator.stream;
+  }
+
+  /**
+   * Define a secondary index over the messages of the opened feeds.
+   *
+   * The index is persisted in the indexDB and maintained incrementally while the feeds
+   * receive new messages. Changing the version rebuilds the index.
+   *
+   * @param {string} name
+   * @param {IndexMapCallback} map Returns the index keys of a message.
+   * @param {Object} [options]
+   * @param {number} [options.version=0]
+   * @returns {Promise}
+   */
+  async defineIndex (name, map, options = {}) {
+    const { version = 0 } = options;
+
+    await this._isOpen();
+
+    if (this._indexes.has(name)) {
+      throw new Error(`Index already defined: ${name}`);
+    }
+
+    const index = new MessageIndex(this._measureIndexDB('index'), name, map, version);
+    this._indexes.set(name, index);
+
+    try {
+      const checkpoint = await index.load();
+      index.attach(this.createBatchStream({ live: true, checkpoint }));
+    } catch (err) {
+      this._indexes.delete(name);
+      throw err;
+    }
+  }
+
+  /**
+   * Append messages to several feeds atomically.
+   *
+   * The appends are journaled in the indexDB before writing the feeds and the journal
+   * is replayed on open if the process stops in the middle. Streams don't receive the
+   * messages of a transaction until every feed is written.
+   *
+   * ```
+   * await feedStore.transaction(async tx => {
+   *   tx.append('/books', book);
+   *   tx.append('/authors', author);
+   * });
+   * ```
+   *
+   * @param {(tx: Transaction) => Promise} callback
+   * @returns {Promise}
+   */
+  async transaction (callback) {
+    assert(typeof callback === 'function', 'callback must be a function.');
+
+    await this._isOpen();
+
+    const tx = new Transaction();
+    await callback(tx);
+    tx.commit();
+
+    const { appends } = tx;
+    if (appends.length === 0) {
+      return;
+    }
+
+    if (!this._resource.active()) {
+      throw new Error('FeedStore closed');
+    }
+
+    let release;
+    const shows = [];
+    const unpins = [];
+    try {
+      release = await this._lockAppends();
+
+      const entries = await Promise.all(appends.map(async ({ path, messages }) => {
+        const descriptor = this.getDescriptors().find(fd => fd.path === path);
+        if (!descriptor) {
+          throw new Error(`Feed not found: ${path}`);
+        }
+
+        // The feeds are kept opened until the transaction is written.
+        unpins.push(descriptor.pin());
+        const feed = await descriptor.open();
+        if (!feed.writable) {
+          throw new Error(`Feed not writable: ${path}`);
+        }
+
+        for (const message of messages) {
+          const error = descriptor.validate(message);
+          if (error) {
+            throw error;
+          }
+        }
+
+        return { descriptor, feed, messages };
+      }));
+
+      entries.forEach(({ descriptor }) => shows.push(descriptor.hide()));
+
+      // The blocks are journaled encoded, the messages of the encrypted feeds are not stored in clear.
+      // The appends of the write queues wait for the lock so only the blocks of the transaction follow `start`.
+      const id = crypto.randomBytes(16).toString('hex');
+      await this._updateJournals(journals => [...journals, {
+        id,
+        appends: entries.map(({ descriptor, feed, messages }) => ({
+          key: feed.key,
+          start: feed.length,
+          blocks: messages.map(message => descriptor.encode(message))
+        }))
+      }]);
+
+      // If the writes fail the feeds stay hidden and the journal is kept, the missing blocks are written
+      // before the next append of the store or on the next open.
+      const errors = await Promise.all(entries.map(({ feed, messages }) => pify(feed.append.bind(feed))(messages)
+        .then(() => null, err => err)));
+      const error = errors.find(Boolean);
+      if (error) {
+        this._hiddenTransactions.push(...shows.splice(0));
+
+        // The number of blocks written is kept for the replay.
+        await this._updateJournals(journals => journals.map(journal => journal.id !== id ? journal : {
+          ...journal,
+          appends: journal.appends.map((append, i) => ({ ...append, written: errors[i] ? 0 : append.blocks.length }))
+        }));
+        throw error;
+      }
+
+      await this._updateJournals(journals => journals.filter(journal => journal.id !== id));
+
+      shows.forEach(show => show());
+      unpins.forEach(unpin => unpin());
+      await release();
+      this._resource.inactive();
+    } catch (err) {
+      shows.forEach(show => show());
+      unpins.forEach(unpin => unpin());
+      if (release) {
+        await release();
+      }
+      this._resource.inactive();
+      throw err;
+    }
+  }
+
+  /**
+   * Lock the appends of the write queues and the transactions.
+   *
+   * The blocks missing from the failed transactions are written first, the appends fail if they can't be written.
+   *
+   * @private
+   * @returns {Promise<function>} release
+   */
+  async _lockAppends () {
+    const release = await this._transactionLocker.lock();
+    if (this._hiddenTransactions.length === 0) {
+      return release;
+    }
+
+    try {
+      await this._replayTransactions();
+
+      const shows = this._hiddenTransactions.splice(0);
+      shows.forEach(show => show());
+      return release;
+    } catch (err) {
+      await release();
+      throw err;
+    }
+  }
+
+  /**
+   * Append a message to a feed through its write queue, the appends are coalesced into batch appends.
+   *
+   * The feed is created if it doesn't exist.
+   *
+   * @param {string} path
+   * @param {*} message
+   * @returns {Promise<number>} Seq of the message.
+   */
+  async append (path, message) {
+    const queue = await this._getWriteQueue(path);
+    return queue.push(message);
+  }
+
+  /**
+   * Creates a WritableStream that appends the messages to a feed through its write queue.
+   *
+   * The feed is created if it doesn't exist.
+   *
+   * @param {string} path
+   * @param {Object} [options] Writable options.
+   * @returns {WritableStream}
+   */
+  createWriteStream (path, options = {}) {
+    assert(path, 'Missing path');
+
+    const queue = this._getWriteQueue(path);
+    const stream = createWriteStream(queue, options);
+    queue.catch(err => stream.destroy(err));
+
+    return stream;
+  }
+
+  /**
+   * Stats of the write queues by feed path.
+   *
+   * @returns {Object<string, { depth: number, batches: number, messages: number, lastFlushLatency: number, maxFlushLatency: number }>}
+   */
+  getWriteQueueStats () {
+    const stats = {};
+    for (const [path, queue] of this._writeQueues) {
+      stats[path] = queue.stats;
+    }
+    return stats;
+  }
+
+  /**
+   * Snapshot of the state of the store: feeds, readers, locks and write queues.
+   *
+   * The blocks and bytes are only known for the opened feeds. The lag of a reader is the number
+   * of messages of each feed not read yet.
+   *
+   * @returns {{ feeds: Object, descriptors: Object[], readers: Object[], locks: Object, writeQueues: Object }}
+   */
+  stats () {
+    const descriptors = this.getDescriptors();
+    const byKey = new Map(descriptors.map(descriptor => [descriptor.key.toString('hex'), descriptor]));
+
+    const opened = descriptors.filter(descriptor => descriptor.opened).length;
+
+    const readers = Array.from(this._readers)
+      .filter(reader => !(reader.stream || reader).destroyed)
+      .map(reader => {
+        const feeds = Object.entries(reader.positions).map(([key, position]) => {
+          const descriptor = byKey.get(key);
+          const length = descriptor && descriptor.opened ? descriptor.visibleLength : null;
+          return {
+            path: descriptor ? descriptor.path : null,
+            key: Buffer.from(key, 'hex'),
+            position,
+            length,
+            lag: length === null ? 0 : Math.max(0, length - position)
+          };
+        });
+
+        return { feeds, lag: feeds.reduce((lag, feed) => lag + feed.lag, 0) };
+      });
+
+    const locks = [this._transactionLocker.stats, ...descriptors.map(descriptor => descriptor.lockStats)]
+      .reduce((total, stats) => ({
+        locks: total.locks + stats.locks,
+        waiting: total.waiting + stats.waiting,
+        totalWaitTime: total.totalWaitTime + stats.totalWaitTime,
+        maxWaitTime: Math.max(total.maxWaitTime, stats.maxWaitTime)
+      }));
+
+    return {
+      feeds: {
+        total: descriptors.length,
+        opened,
+        closed: descriptors.length - opened,
+        pinned: descriptors.filter(descriptor => descriptor.pinned).length
+      },
+      descriptors: descriptors.map(descriptor => ({
+        path: descriptor.path,
+        key: descriptor.key,
+        opened: descriptor.opened,
+        pinned: descriptor.pinned,
+        blocks: descriptor.opened ? descriptor.feed.length : null,
+        bytes: descriptor.opened ? descriptor.feed.byteLength : null,
+        locks: descriptor.lockStats
+      })),
+      readers,
+      locks,
+      writeQueues: this.getWriteQueueStats()
+    };
+  }
+
+  /**
+   * Open a group of feeds of several writers, it's created if it doesn't exist.
+   *
+   * @param {string} name
+   * @returns {Promise<FeedGroup>}
+   */
+  async openGroup (name) {
+    assert(name, 'Missing name');
+
+    await this._isOpen();
+
+    if (!this._groups.has(name)) {
+      const group = new FeedGroup(this, this._indexDB, name);
+      const loading = group.load().then(() => group);
+      this._groups.set(name, loading);
+      loading.catch(() => this._groups.delete(name));
+    }
+
+    return this._groups.get(name);
+  }
+
+  /**
+   * Open a store scoped to a namespace.
+   *
+   * The namespace has its own descriptors, streams and events. Its records are persisted in the IndexDB
+   * under `@namespace/<name>` and its feeds are stored in the storage subdirectory `@namespace/<name>`.
+   *
+   * @param {string} name
+   * @param {Object} [options] Options of the namespace store, by default the options of this store.
+   * The options are only used the first time the namespace is opened.
+   * @returns {Promise<FeedStore>}
+   */
+  async namespace (name, options = {}) {
+    assert(typeof name === 'string' && /^[\w.-]+$/.test(name), 'name must contain only letters, digits, "_", "-" or ".".');
+
+    await this._isOpen();
+
+    let namespace = this._namespaces.get(name);
+    if (!namespace) {
+      const prefix = `${NAMESPACE_PREFIX}/${name}`;
+      const storage = typeof this._storage === 'string'
+        ? `${this._storage}/${prefix}`
+        : file => this._storage(`${prefix}/${file}`);
+
+      namespace = new FeedStore(storage, {
+        ...this._options,
+        keyring: this._keyring,
+        ...options,
+        database: undefined,
+        indexDB: () => new PrefixIndexDB(this._indexDB, prefix),
+        seed: options.seed || (this._seed && deriveNamespaceSeed(this._seed, name))
+      });
+
+      this._namespaces.set(name, namespace);
+    }
+
+    await namespace.open();
+    return namespace;
+  }
+
+  /**
+   * Query a secondary index.
+   *
+   * @param {string} name
+   * @param {string|Object} [range] Exact index key or range `{ gt, gte, lt, lte }` over the index keys.
+   * @returns {Promise<{ indexKey: string, key: Buffer, seq: number, data: * }[]>}
+   */
+  async queryIndex (name, range) {
+    await this._isOpen();
+
+    const index = this._indexes.get(name);
+    if (!index) {
+      throw new Error(`Index not found: ${name}`);
+    }
+
+    await index.ready();
+
+    const entries = await index.query(range);
+
+    const results = await Promise.all(entries.map(async ({ indexKey, key, seq }) => {
+      const descriptor = this.getDescriptors().find(fd => fd.key.equals(key));
+      if (!descriptor) {
+        return null;
+      }
+
+      const unpin = descriptor.pin();
+      try {
+        const feed = await descriptor.open();
+        const data = await pify(feed.get.bind(feed))(seq);
+        return { indexKey, key, seq, data };
+      } finally {
+        unpin();
+      }
+    }));
+
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Creates a ReadableStream from the loaded feeds and returns the messages in batch.
+   *
+   * @param {StreamCallback|Object} [callback] Filter function to return options for each feed.createReadStream (returns `false` will ignore the feed) or default object options for each feed.createReadStream(options)
+   * @returns {ReadableStream}
+   */
+  createBatchStream (callback = () => true) {
+    return this._createReadStream(callback, true);
+  }
+
+  /**
+   * Creates a ReadableStream from the loaded feeds that emits the messages ordered by a comparator.
+   *
+   * In live mode, feeds that already reached their length are not waited before emitting a message.
+   *
+   * @param {(a: Object, b: Object) => number} compare Comparator of messages, e.g. `(a, b) => a.data.timestamp - b.data.timestamp`.
+   * @param {StreamCallback|Object} [callback] Filter function to return options for each feed.createReadStream (returns `false` will ignore the feed) or default object options for each feed.createReadStream(options)
+   * @returns {ReadableStream}
+   */
+  createOrderedStream (compare, callback = () => true) {
+    const reader = new OrderedReader(compare, callback);
+    this._addReader(reader);
+    return reader;
+  }
+
+  /**
+   * Iterate the messages of the opened feeds.
+   *
+   * @param {Object} [options] Options of `createReadStream` and:
+   * @param {DescriptorCallback} [options.filter] Defines which feeds are read.
+   * @param {(a: Object, b: Object) => number} [options.compare] Iterate the messages merged by a comparator like `createOrderedStream`.
+   * @param {AbortSignal} [options.signal] Aborting the signal ends the iteration with an `AbortError`.
+   * @param {(state: Object) => void} [options.onSync] Called with the last seq by feed key once the initial messages were iterated.
+   * @param {boolean} [options.syncSentinel=false] Yield `SYNC` once the initial messages were iterated.
+   * @returns {AsyncIterable<Object>}
+   */
+  iterate (options = {}) {
+    const { filter, compare, signal, onSync, syncSentinel, ...streamOptions } = options;
+
+    let stream;
+    if (compare) {
+      stream = this.createOrderedStream(compare, filter ? descriptor => filter(descriptor) && streamOptions : streamOptions);
+    } else {
+      stream = this._createReadStream(streamOptions, false, filter);
+    }
+
+    return iterateStream(stream, { signal, onSync, syncSentinel });
+  }
+
+  /**
+   * Iterate the messages of a feed, the feed is opened if it's closed.
+   *
+   * @param {string} path
+   * @param {Object} [options]
+   * @param {number} [options.start=0]
+   * @param {number} [options.end] Seq after the last message. Default: the length of the feed.
+   * @param {boolean} [options.reverse=false] Iterate from the end to the start.
+   * @param {boolean} [options.live=false] Wait for the new messages, not supported in reverse.
+   * @param {number} [options.batch=100] Number of blocks read in each iteration.
+   * @param {AbortSignal} [options.signal] Aborting the signal ends the iteration with an `AbortError`.
+   * @returns {AsyncIterable<Object>}
+   */
+  async * iterateFeed (path, options = {}) {
+    assert(path, 'Missing path');
+
+    await this._isOpen();
+
+    const descriptor = this.getDescriptors().find(fd => fd.path === path);
+    if (!descriptor) {
+      throw new Error(`Feed not found: ${path}`);
+    }
+
+    await descriptor.open();
+    this._touch(descriptor);
+
+    yield * iterateFeed(descriptor, options);
+  }
+
+  /**
+   * Store a large payload out of the feeds, the messages reference it by its hash.
+   *
+   * @param {Buffer} data
+   * @param {Object} [options]
+   * @param {string} [options.path] Path of the feed referencing the blob.
+   * @returns {Promise<Buffer>} hash
+   */
+  async putBlob (data, options = {}) {
+    const { path } = options;
+
+    await this._isOpen();
+
+    if (!this._resource.active()) {
+      throw new Error('FeedStore closed');
+    }
+
+    try {
+      const reference = path === undefined ? undefined : this._getBlobReference(path);
+      const hash = await this._blobs.put(data, reference);
+      this._resource.inactive();
+      return hash;
+    } catch (err) {
+      this._resource.inactive();
+      throw err;
+    }
+  }
+
+  /**
+   * Read a blob stored with `putBlob`.
+   *
+   * @param {Buffer|string} hash
+   * @returns {Promise<Buffer>}
+   */
+  async getBlob (hash) {
+    await this._isOpen();
+
+    if (!this._resource.active()) {
+      throw new Error('FeedStore closed');
+    }
+
+    try {
+      const data = await this._blobs.get(hash);
+      this._resource.inactive();
+      return data;
+    } catch (err) {
+      this._resource.inactive();
+      throw err;
+    }
+  }
+
+  /**
+   * Creates a ReadableStream of the chunks of a blob.
+   *
+   * @param {Buffer|string} hash
+   * @returns {ReadableStream}
+   */
+  createBlobReadStream (hash) {
+    return this._blobs.createReadStream(hash, { ready: this._isOpen() });
+  }
+
+  /**
+   * Add a reference of a feed to a blob, the blob is kept while a feed references it.
+   *
+   * @param {string} path
+   * @param {Buffer|string} hash
+   * @returns {Promise}
+   */
+  async referenceBlob (path, hash) {
+    assert(path, 'Missing path');
+
+    await this._isOpen();
+
+    if (!this._resource.active()) {
+      throw new Error('FeedStore closed');
+    }
+
+    try {
+      await this._blobs.reference(hash, this._getBlobReference(path));
+      this._resource.inactive();
+    } catch (err) {
+      this._resource.inactive();
+      throw err;
+    }
+  }
+
+  /**
+   * Remove the reference of a feed to a blob, the blob is removed with its last reference.
+   *
+   * @param {string} path
+   * @param {Buffer|string} hash
+   * @returns {Promise}
+   */
+  async unreferenceBlob (path, hash) {
+    assert(path, 'Missing path');
+
+    await this._isOpen();
+
+    if (!this._resource.active()) {
+      throw new Error('FeedStore closed');
+    }
+
+    try {
+      await this._blobs.unreference(hash, this._getBlobReference(path));
+      this._resource.inactive();
+    } catch (err) {
+      this._resource.inactive();
+      throw err;
+    }
+  }
+
+  /**
+   * Remove the blobs not referenced by any feed.
+   *
+   * @returns {Promise<number>} Number of removed blobs.
+   */
+  async collectBlobs () {
+    await this._isOpen();
+
+    if (!this._resource.active()) {
+      throw new Error('FeedStore closed');
+    }
+
+    try {
+      const removed = await this._blobs.collect();
+      this._resource.inactive();
+      return removed;
+    } catch (err) {
+      this._resource.inactive();
+      throw err;
+    }
+  }
+
+  /**
+   * Creates a ReadableStream of the persisted store events: `created`, `opened`, `closed`, `metadata-updated` and `deleted`.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.since=0] Seq of the first event to read.
+   * @param {boolean} [options.live=false] Keep reading the new events.
+   * @returns {ReadableStream}
+   */
+  createEventStream (options = {}) {
+    const stream = this._eventLog.createReadStream(options);
+
+    this._isOpen().catch(err => {
+      stream.destroy(err);
+    });
+
+    return stream;
+  }
+
+  /**
+   * Initialized FeedStore reading the persisted options and created each FeedDescriptor.
+   *
+   * @returns {Promise}
+   */
+  async _open () {
+    this._indexDB = this._createIndexDB();
+
+    try {
+      await this._eventLog.open(this._measureIndexDB('event'));
+      this._blobs.open(this._measureIndexDB('blob'));
+
+      const list = await this._indexDB.list(STORE_NAMESPACE);
+
+      for (const data of list) {
+        const { path, sealed, secretKey, contentKey, ...options } = data;
+        this._createDescriptor(path, {
+          ...options,
+          secretKey: await this._unsealKey(secretKey, sealed),
+          contentKey: await this._unsealKey(contentKey, sealed)
+        });
+      }
+
+      await this._replayTransactions();
+    } catch (err) {
+      await Promise.all(this.getDescriptors().map(descriptor => descriptor.close().catch(() => {})));
+      this._descriptors.clear();
+      this._descriptorIndex.clear();
+      this._recentlyUsed.clear();
+      await this._eventLog.close();
+      await this._blobs.close();
+      await this._indexDB.close();
+      throw err;
+    }
+
+    if (this._retention.interval) {
+      this._retentionTimer = setInterval(() => {
+        this.applyRetention().catch(err => log('retention error', err));
+      }, this._retention.interval);
+    }
+
+    this.emit('opened');
+
+    // backward compatibility
+    this.emit('ready');
+  }
+
+  /**
+   * Close the hypertrie and their feeds.
+   *
+   */
+  async _close () {
+    // The namespaces use the IndexDB of this store.
+    await Promise.all(Array.from(this._namespaces.values()).map(namespace => namespace.close()));
+    this._namespaces.clear();
+
+    await Promise.all(Array.from(this._writeQueues.values()).map(queue => queue.flush()));
+    this._writeQueues.clear();
+
+    // The journals of the failed transactions are replayed on open.
+    this._hiddenTransactions = [];
+
+    clearInterval(this._retentionTimer);
+    this._retentionTimer = null;
+    if (this._applyingRetention) {
+      await this._applyingRetention.catch(() => {});
+    }
+
+    await Promise.all(Array.from(this._indexes.values()).map(index => index.close()));
+    this._indexes.clear();
+
+    this._readers.forEach(reader => {
+      try {
+        reader.destroy(new Error('FeedStore closed'));
+      } catch (err) {
+        // ignore
+      }
+    });
+
+    this._replicators.forEach(replicator => replicator.destroy());
+
+    await Promise.all(this
+      .getDescriptors()
+      .map(descriptor => descriptor.close())
+    );
+
+    this._descriptors.clear();
+    this._descriptorIndex.clear();
+    this._recentlyUsed.clear();
+    this._groups.clear();
+
+    await Promise.all(Array.from(this._checkpointWriters.values()).map(writer => writer.done));
+
+    await this._eventLog.close();
+    await this._blobs.close();
+    await this._indexDB.close();
+
+    this.emit('closed');
+  }
+
+  /**
+   * Factory to create a new FeedDescriptor.
+   *
+   * @private
+   * @param path
+   * @param {Object} options
+   * @param {Buffer} options.key
+   * @param {Buffer} options.secretKey
+   * @param {string} options.valueEncoding
+   * @param {Buffer} options.contentKey
+   * @param {*} options.metadata
+   * @returns {FeedDescriptor}
+   */
+  _createDescriptor (path, options) {
+    const defaultOptions = this._defaultFeedOptions;
+
+    const {
+      key,
+      secretKey,
+      valueEncoding = defaultOptions.valueEncoding,
+      contentKey,
+      metadata,
+      retention,
+      cleared,
+      schema
+    } = options;
+
+    const descriptor = new FeedDescriptor(path, {
+      storage: this._storage,
+      key,
+      secretKey,
+      valueEncoding,
+      contentKey,
+      metadata,
+      retention,
+      cleared,
+      timestamp: this._retention.timestamp,
+      schema,
+      schemas: this._schemas,
+      hypercore: this._hypercore,
+      codecs: this._codecs
+    });
+
+    this._descriptors.set(
+      descriptor.discoveryKey.toString('hex'),
+      descriptor
+    );
+
+    this._descriptorIndex.update(descriptor);
+
+    // The 'append' event is emitted once by batch.
+    let length = 0;
+    const append = () => {
+      const appended = descriptor.feed.length - length;
+      length = descriptor.feed.length;
+      this._touch(descriptor);
+      this._metric('counter', 'feedstore.append', appended, { path: descriptor.path });
+      this.emit('append', descriptor.feed, descriptor);
+    };
+    const download = (...args) => {
+      this._touch(descriptor);
+      this.emit('download', ...args, descriptor.feed, descriptor);
+    };
+
+    descriptor.watch(async (event, field) => {
+      if (event === 'updated') {
+        this._descriptorIndex.update(descriptor);
+        await this._persistDescriptor(descriptor);
+        if (field === 'metadata') {
+          await this._logEvent('metadata-updated', descriptor, { metadata: descriptor.metadata });
+        }
+        return;
+      }
+
+      const { feed } = descriptor;
+
+      if (event === 'unpinned') {
+        this._evictFeeds();
+        return;
+      }
+
+      if (event === 'opened') {
+        if (await this._persistDescriptor(descriptor)) {
+          await this._logEvent('created', descriptor, { metadata: descriptor.metadata });
+        }
+        await this._logEvent('opened', descriptor);
+        this._metric('counter', 'feedstore.feed.opened', 1, { path: descriptor.path });
+        length = feed.length;
+        feed.on('append', append);
+        feed.on('download', download);
+        this._touch(descriptor);
+        this.emit('feed', feed, descriptor);
+        this._evictFeeds();
+        return;
+      }
+
+      if (event === 'closed') {
+        feed.removeListener('append', append);
+        feed.removeListener('download', download);
+        await this._logEvent('closed', descriptor);
+      }
+    });
+
+    return descriptor;
+  }
+
+  /**
+   * @private
+   * @param {string} path
+   * @returns {Promise<WriteQueue>}
+   */
+  async _getWriteQueue (path) {
+    assert(path, 'Missing path');
+
+    let queue = this._writeQueues.get(path);
+    if (queue) {
+      return queue;
+    }
+
+    await this.openFeed(path);
+
+    queue = this._writeQueues.get(path);
+    if (!queue) {
+      // The feed is opened again if it was closed.
+      const getDescriptor = () => {
+        const descriptor = this.getDescriptors().find(fd => fd.path === path);
+        if (!descriptor) {
+          throw new Error(`Feed not found: ${path}`);
+        }
+        return descriptor;
+      };
+
+      queue = new WriteQueue(() => getDescriptor().open(), {
+        ...this._writeQueueOptions,
+        // Invalid messages are rejected alone instead of failing the batch of every caller.
+        validate: message => {
+          const descriptor = getDescriptor();
+          const error = descriptor.validate(message);
+          if (error) {
+            return error;
+          }
+
+          try {
+            descriptor.encode(message);
+            return null;
+          } catch (err) {
+            return err;
+          }
+        },
+        lock: () => this._lockAppends()
+      });
+      this._writeQueues.set(path, queue);
+    }
+
+    return queue;
+  }
+
+  /**
+   * Roll forward the transactions interrupted before writing all their messages.
+   *
+   * @private
+   * @returns {Promise}
+   */
+  async _replayTransactions () {
+    const { journals = [] } = (await this._indexDB.get(TRANSACTION_NAMESPACE)) || {};
+
+    for (const { id, appends } of journals) {
+      for (const [i, { key: feedKey, start, blocks, written: recorded }] of appends.entries()) {
+        const descriptor = this.getDescriptors().find(fd => fd.key.equals(feedKey));
+        if (!descriptor) {
+          log(`transaction feed not found: ${feedKey.toString('hex')}`);
+          continue;
+        }
+
+        const unpin = descriptor.pin();
+        try {
+          const feed = await descriptor.open();
+          const written = recorded !== undefined ? recorded : Math.max(feed.length - start, 0);
+          if (written < blocks.length) {
+            await pify(feed.append.bind(feed))(blocks.slice(written).map(block => descriptor.decode(block)));
+
+            // A replay interrupted by another failure doesn't write the blocks twice.
+            await this._updateJournals(journals => journals.map(journal => journal.id !== id ? journal : {
+              ...journal,
+              appends: journal.appends.map((append, j) => j === i ? { ...append, written: blocks.length } : append)
+            }));
+          }
+        } finally {
+          unpin();
+        }
+      }
+    }
+
+    if (journals.length > 0) {
+      await this._indexDB.delete(TRANSACTION_NAMESPACE);
+    }
+  }
+
+  /**
+   * Update the journals of the pending transactions, persisted in a single record.
+   *
+   * @private
+   * @param {(journals: Object[]) => Object[]} update
+   * @returns {Promise}
+   */
+  async _updateJournals (update) {
+    const { journals = [] } = (await this._indexDB.get(TRANSACTION_NAMESPACE)) || {};
+    await this._persist(TRANSACTION_NAMESPACE, { journals: update(journals) }, 'journal');
+  }
+
+  /**
+   * @private
+   * @returns {IndexDBAdapter}
+   */
+  _createIndexDB () {
+    const backend = this._indexDBBackend;
+
+    switch (backend) {
+      case 'hypertrie':
+        return new IndexDB(this._database(this._storage, { valueEncoding: jsonBuffer }));
+      case 'memory':
+        return new MemoryIndexDB();
+      default:
+        return typeof backend === 'function' ? backend() : backend;
+    }
+  }
+
+  /**
+   * Mark a descriptor as the most recently used.
+   *
+   * @private
+   * @param {FeedDescriptor} descriptor
+   */
+  _touch (descriptor) {
+    if (!this._maxOpenFeeds) {
+      return;
+    }
+
+    this._recentlyUsed.delete(descriptor);
+    this._recentlyUsed.add(descriptor);
+  }
+
+  /**
+   * Close the least recently used feeds that are not pinned while the opened feeds exceed `maxOpenFeeds`.
+   *
+   * The feeds are opened again on access with `openFeed`.
+   *
+   * @private
+   */
+  _evictFeeds () {
+    if (!this._maxOpenFeeds) {
+      return;
+    }
+
+    const opened = Array.from(this._recentlyUsed).filter(descriptor => descriptor.opened && !this._evicting.has(descriptor));
+
+    // The most recently used feed is never closed, it could be in use by the caller.
+    let excess = opened.length - this._maxOpenFeeds;
+    for (const descriptor of opened.slice(0, -1)) {
+      if (excess <= 0) {
+        break;
+      }
+
+      if (descriptor.pinned) {
+        continue;
+      }
+
+      excess--;
+      this._evicting.add(descriptor);
+      descriptor.close()
+        .catch(err => log('evict error', err))
+        .then(() => this._evicting.delete(descriptor));
+    }
+  }
+
+  /**
+   * Persist in the db the FeedDescriptor.
+   *
+   * @private
+   * @param {FeedDescriptor} descriptor
+   * @param {boolean} [force=false] Rewrite an existing record even if the metadata didn't change.
+   * @returns {Promise<boolean>} true if the descriptor was created.
+   */
+  async _persistDescriptor (descriptor, force = false) {
+    const key = this._getDescriptorKey(descriptor);
+
+    const oldData = await this._indexDB.get(key);
+
+    const updatable = ({ metadata, retention, cleared }) => JSON.stringify({ metadata, retention, cleared });
+    if (oldData && !force && updatable(oldData) === updatable(descriptor)) {
+      return false;
+    }
+
+    await this._persist(key, await this._createRecord(descriptor), 'descriptor');
+    return !oldData;
+  }
+
+  /**
+   * @private
+   * @param {FeedDescriptor} descriptor
+   * @returns {string}
+   */
+  _getDescriptorKey (descriptor) {
+    return `${STORE_NAMESPACE}/${descriptor.key.toString('hex')}`;
+  }
+
+  /**
+   * Record of a descriptor persisted in the IndexDB.
+   *
+   * @private
+   * @param {FeedDescriptor} descriptor
+   * @param {Keyring|null} [keyring] Keyring to seal the keys, the keyring of the store by default.
+   * @returns {Promise<Object>}
+   */
+  async _createRecord (descriptor, keyring = this._keyring) {
+    return {
+      path: descriptor.path,
+      key: descriptor.key,
+      secretKey: await this._sealKey(descriptor.secretKey, keyring),
+      contentKey: await this._sealKey(descriptor.contentKey, keyring),
+      sealed: !!(keyring && (descriptor.secretKey || descriptor.contentKey)),
+      valueEncoding: typeof descriptor.valueEncoding === 'string' ? descriptor.valueEncoding : undefined,
+      metadata: descriptor.metadata,
+      retention: descriptor.retention,
+      cleared: descriptor.cleared,
+      schema: descriptor.schema
+    };
+  }
+
+  /**
+   * Put a record in the IndexDB measuring the call.
+   *
+   * @private
+   * @param {string} key
+   * @param {*} value
+   * @param {string} type Type of record for the metrics.
+   * @returns {Promise}
+   */
+  async _persist (key, value, type) {
+    await this._measureIndexDB(type).put(key, value);
+  }
+
+  /**
+   * View of the IndexDB measuring the writes.
+   *
+   * @private
+   * @param {string} type Type of record for the metrics.
+   * @returns {MeasuredIndexDB}
+   */
+  _measureIndexDB (type) {
+    return new MeasuredIndexDB(this._indexDB, duration => {
+      this._metric('counter', 'feedstore.persist', 1, { type });
+      this._metric('histogram', 'feedstore.persist.duration', duration, { type });
+    });
+  }
+
+  /**
+   * Report a metric to the sink, the errors of the sink are only logged.
+   *
+   * @private
+   * @param {('counter'|'histogram')} type
+   * @param {string} name
+   * @param {number} value
+   * @param {Object} tags
+   */
+  _metric (type, name, value, tags) {
+    if (!this._metrics) {
+      return;
+    }
+
+    try {
+      this._metrics[type](name, value, tags);
+    } catch (err) {
+      log('metrics error', err);
+    }
+  }
+
+  /**
+   * Append an event of a descriptor to the event log.
+   *
+   * @private
+   * @param {string} type
+   * @param {FeedDescriptor} descriptor
+   * @param {Object} [data]
+   * @returns {Promise}
+   */
+  async _logEvent (type, descriptor, data = {}) {
+    await this._eventLog.append({ type, path: descriptor.path, key: descriptor.key, ...data });
+  }
+
+  /**
+   * Key (hex) of a feed used to reference the blobs.
+   *
+   * @private
+   * @param {string} path
+   * @returns {string}
+   */
+  _getBlobReference (path) {
+    const descriptor = this.getDescriptors().find(fd => fd.path === path);
+
+    if (!descriptor) {
+      throw new Error(`Feed not found: ${path}`);
+    }
+
+    return descriptor.key.toString('hex');
+  }
+
+  /**
+   * Derive the keys of a feed from the master seed.
+   *
+   * @private
+   * @param {string} path
+   * @returns {{ key: Buffer, secretKey: Buffer }}
+   */
+  _deriveKeys (path) {
+    const { publicKey, secretKey } = deriveKeyPair(this._seed, path);
+    return { key: publicKey, secretKey };
+  }
+
+  /**
+   * Seal a secret key or a content key using the keyring (if any) before persisting it.
+   *
+   * @private
+   * @param {Buffer} [key]
+   * @param {Keyring|null} [keyring]
+   * @returns {Promise<Buffer|undefined>}
+   */
+  async _sealKey (key, keyring = this._keyring) {
+    if (!key || !keyring) {
+      return key;
+    }
+
+    return keyring.seal(key);
+  }
+
+  /**
+   * Unseal a persisted secret key or content key.
+   *
+   * @private
+   * @param {Buffer} [key]
+   * @param {boolean} [sealed]
+   * @returns {Promise<Buffer|undefined>}
+   */
+  async _unsealKey (key, sealed) {
+    if (!key || !sealed) {
+      return key;
+    }
+
+    if (!this._keyring) {
+      throw new Error('Missing keyring to unseal the secret keys');
+    }
+
+    return this._keyring.unseal(key);
+  }
+
+  /**
+   * @private
+   * @returns {Promise}
+   */
+  async _applyRetention () {
+    for (const descriptor of this.getDescriptors()) {
+      if (!descriptor.opened || !descriptor.retention) {
+        continue;
+      }
+
+      if (descriptor.retention.maxAge !== undefined && !this._retention.timestamp) {
+        log(`retention.maxAge of ${descriptor.path} ignored without the retention.timestamp option`);
+      }
+
+      const cleared = await applyRetention(descriptor, { timestamp: this._retention.timestamp });
+      if (cleared !== descriptor.cleared) {
+        await descriptor.setCleared(cleared);
+      }
+    }
+  }
+
+  async _isOpen () {
+    if (this.closing || this.closed) {
+      throw new Error('FeedStore closed');
+    }
+
+    if (this.opened) {
+      return;
+    }
+
+    return this.ready();
+  }
+
+  /**
+   * @private
+   * @param {StreamCallback|Object} callback
+   * @param {boolean} [inBatch=false]
+   * @param {DescriptorCallback} [scope] Limits the feeds read by the stream.
+   * @returns {ReadableStream}
+   */
+  _createReadStream (callback, inBatch = false, scope) {
+    const { checkpoint = {}, consumer, ...options } = typeof callback === 'object' ? callback : {};
+
+    let filter = callback;
+    if (scope) {
+      filter = typeof callback === 'function'
+        ? descriptor => scope(descriptor) && callback(descriptor)
+        : descriptor => scope(descriptor) && options;
+    }
+
+    const reader = new Reader(filter, inBatch, consumer
+      ? this.getCheckpoint(consumer).then(persisted => ({ ...persisted, ...checkpoint }))
+      : checkpoint);
+
+    if (consumer) {
+      reader.onCheckpoint(checkpoint => this._saveCheckpoint(reader, consumer, checkpoint));
+    }
+
+    this._addReader(reader);
+    return reader.stream;
+  }
+
+  /**
+   * Persist the checkpoint of a consumer, coalescing the updates while a write is in progress.
+   *
+   * @private
+   * @param {Reader} reader
+   * @param {string} consumer
+   * @param {Object} checkpoint
+   */
+  _saveCheckpoint (reader, consumer, checkpoint) {
+    let writer = this._checkpointWriters.get(consumer);
+    if (writer) {
+      writer.checkpoint = checkpoint;
+      writer.dirty = true;
+      return;
+    }
+
+    writer = { checkpoint, dirty: true };
+    this._checkpointWriters.set(consumer, writer);
+
+    writer.done = (async () => {
+      try {
+        while (writer.dirty) {
+          writer.dirty = false;
+          await this._persist(`${CHECKPOINT_NAMESPACE}/${consumer}`, { ...writer.checkpoint }, 'checkpoint');
+        }
+      } catch (err) {
+        reader.destroy(err);
+      }
+      this._checkpointWriters.delete(consumer);
+    })();
+  }
+
+  /**
+   * @private
+   * @param {Reader|OrderedReader|SelectiveReader} reader
+   */
+  _measureReads (reader) {
+    if (this._metrics) {
+      reader.onRead((descriptor, count) => this._metric('counter', 'feedstore.read', count, { path: descriptor.path }));
+    }
+  }
+
+  /**
+   * Register a reader to receive the opened feeds.
+   *
+   * @private
+   * @param {Reader|OrderedReader} reader
+   */
+  _addReader (reader) {
     this._readers.add(reader);
+    this._measureReads(reader);
 
     reader.onEnd(() => {
       this._readers.delete(reader);
@@ -563,8 +2453,6 @@ export class FeedStore extends EventEmitter {
       .catch(err => {
         reader.destroy(err);
       });
-
-    return reader.stream;
   }
 
   /**
@@ -2,14 +2,24 @@
 // Copyright 2019 DXOS.org
 //
 
+import fs from 'fs';
+import path from 'path';
+import { PassThrough } from 'stream';
 import hypertrie from 'hypertrie';
 import tempy from 'tempy';
 import ram from 'random-access-memory';
 import hypercore from 'hypercore';
+import crypto from 'hypercore-crypto';
 import pify from 'pify';
 import eos from 'end-of-stream-promise';
+import pump from 'pump';
+import waitForExpect from 'wait-for-expect';
 
+import { generateAccessKeyPair } from './encryption';
 import { FeedStore } from './feed-store';
+import { SYNC } from './iterator';
+import { Keyring } from './keyring';
+import { generateSeed, deriveKeyPair } from './seed';
 
 async function createDefault () {
   const directory = tempy.directory();
@@ -129,6 +139,38 @@ describe('FeedStore', () => {
     expect(feedStore.getDescriptorByDiscoveryKey(booksFeed.discoveryKey).path).toEqual('/books');
   });
 
+  test('Find descriptors', async () => {
+    const { feedStore } = await createDefault();
+    const { booksFeed } = await defaultFeeds(feedStore);
+    await feedStore.openFeed('/magazines', { metadata: { topic: 'books', tags: ['weekly', 'news'], pages: 20 } });
+    await feedStore.closeFeed('/users');
+
+    const paths = query => feedStore.findDescriptors(query).map(fd => fd.path).sort();
+
+    expect(paths()).toEqual(['/books', '/groups', '/magazines', '/users']);
+    expect(paths({ 'metadata.topic': 'books' })).toEqual(['/books', '/magazines']);
+    expect(paths({ 'metadata.topic': 'books', path: '/books' })).toEqual(['/books']);
+    expect(paths({ opened: false })).toEqual(['/users']);
+    expect(paths({ key: booksFeed.key })).toEqual(['/books']);
+    expect(paths({ key: booksFeed.key.toString('hex') })).toEqual(['/books']);
+    expect(paths({ 'metadata.tags': 'news' })).toEqual(['/magazines']);
+    expect(paths({ 'metadata.pages': { $gte: 10 } })).toEqual(['/magazines']);
+    expect(paths({ 'metadata.topic': { $exists: false } })).toEqual(['/groups', '/users']);
+    expect(paths({ path: { $in: ['/users', '/groups'] }, opened: true })).toEqual(['/groups']);
+    expect(paths({ $or: [{ path: '/users' }, { 'metadata.pages': { $lt: 100 } }] })).toEqual(['/magazines', '/users']);
+    expect(() => feedStore.findDescriptors({ foo: 1 })).toThrow(/Invalid query field/);
+    expect(() => feedStore.findDescriptors({ path: { $foo: 1 } })).toThrow(/Invalid query operator/);
+
+    // The index is updated with the metadata.
+    const descriptor = feedStore.getDescriptors().find(fd => fd.path === '/books');
+    await descriptor.setMetadata({ topic: 'novels' });
+    expect(paths({ 'metadata.topic': 'books' })).toEqual(['/magazines']);
+    expect(paths({ 'metadata.topic': 'novels' })).toEqual(['/books']);
+
+    await feedStore.deleteDescriptor('/magazines');
+    expect(paths({ 'metadata.topic': 'books' })).toEqual([]);
+  });
+
   test('Feeds', async () => {
     const { feedStore } = await createDefault();
     const { booksFeed, usersFeed, groupsFeed } = await defaultFeeds(feedStore);
@@ -198,6 +240,719 @@ describe('FeedStore', () => {
     expect(feedStore.getDescriptors().length).toBe(2);
   });
 
+  test('Destroy feed', async () => {
+    const { directory, feedStore } = await createDefault();
+    const { booksFeed, usersFeed } = await defaultFeeds(feedStore);
+    await append(booksFeed, 'Foundation and Empire');
+
+    const booksDir = path.join(directory, booksFeed.key.toString('hex'));
+    const usersDir = path.join(directory, usersFeed.key.toString('hex'));
+    expect(fs.existsSync(path.join(booksDir, 'data'))).toBe(true);
+
+    await expect(feedStore.destroyFeed('/foo')).rejects.toThrow(/Feed not found/);
+
+    await feedStore.destroyFeed('/books');
+    expect(booksFeed.closed).toBe(true);
+    expect(fs.existsSync(booksDir)).toBe(false);
+    expect(feedStore.getDescriptors().map(fd => fd.path)).toEqual(['/users', '/groups']);
+
+    await feedStore.closeFeed('/users');
+    await feedStore.destroyFeed('/users', { secure: true });
+    expect(fs.existsSync(usersDir)).toBe(false);
+
+    await feedStore.close();
+    await feedStore.open();
+    expect(feedStore.getDescriptors().map(fd => fd.path)).toEqual(['/groups']);
+  });
+
+  test('Keep the descriptor if the feed storage can not be destroyed', async () => {
+    const storage = name => {
+      const file = ram();
+      if (name.endsWith('/data')) {
+        file._destroy = req => req.callback(new Error('destroy failed'));
+      }
+      return file;
+    };
+
+    const feedStore = await FeedStore.create(storage, { feedOptions: { valueEncoding: 'utf-8' } });
+    await feedStore.openFeed('/books');
+
+    await expect(feedStore.destroyFeed('/books')).rejects.toThrow(/destroy failed/);
+    expect(feedStore.getDescriptors().map(fd => fd.path)).toEqual(['/books']);
+    const [record] = await feedStore._indexDB.list('@feedstore');
+    expect(record.path).toBe('/books');
+    await feedStore.close();
+  });
+
+  test('Verify and repair the storage', async () => {
+    const { directory, feedStore } = await createDefault();
+    const { booksFeed, usersFeed } = await defaultFeeds(feedStore);
+    await append(booksFeed, 'Foundation and Empire');
+    await append(booksFeed, 'Second Foundation');
+
+    const orphanDir = tempy.directory();
+    const orphanFeed = hypercore(orphanDir);
+    await append(orphanFeed, 'lost');
+    await pify(orphanFeed.close.bind(orphanFeed))();
+
+    await expect(feedStore.verify()).resolves.toMatchObject({ ok: true, dangling: [], orphans: [] });
+    await feedStore.close();
+
+    // The feed storage of /users is lost, the first block of /books is corrupted and a feed has no descriptor.
+    fs.rmSync(path.join(directory, usersFeed.key.toString('hex')), { recursive: true });
+    const fd = fs.openSync(path.join(directory, booksFeed.key.toString('hex'), 'data'), 'r+');
+    fs.writeSync(fd, 'X', 0);
+    fs.closeSync(fd);
+    fs.renameSync(orphanDir, path.join(directory, orphanFeed.key.toString('hex')));
+
+    await feedStore.open();
+
+    let report = await feedStore.verify();
+    expect(report.ok).toBe(false);
+    expect(report.dangling).toEqual([{ path: '/users', key: usersFeed.key, error: 'Missing feed storage', repaired: false }]);
+    expect(report.orphans).toEqual([{ key: orphanFeed.key, path: null, repaired: false }]);
+    expect(report.feeds.find(feed => feed.path === '/books')).toMatchObject({ length: 2, invalidBlocks: [0], repaired: false });
+    expect(report.feeds.find(feed => feed.path === '/groups').errors).toEqual([]);
+    expect(feedStore.getDescriptors().map(fd => fd.path).sort()).toEqual(['/books', '/groups', '/users']);
+
+    report = await feedStore.verify({ repair: true });
+    expect(report.ok).toBe(false);
+    expect(report.dangling[0].repaired).toBe(true);
+    expect(report.orphans[0].path).toBe(`@orphan/${orphanFeed.key.toString('hex')}`);
+
+    const orphanPath = report.orphans[0].path;
+    expect(feedStore.getDescriptors().map(fd => fd.path).sort()).toEqual(['/books', '/groups', orphanPath]);
+    expect(feedStore.getOpenFeed(fd => fd.path === '/books').has(0)).toBe(false);
+
+    await feedStore.close();
+    await feedStore.open();
+
+    report = await feedStore.verify();
+    expect(report.ok).toBe(true);
+    expect(report.feeds.find(feed => feed.path === orphanPath).length).toBe(1);
+
+    await feedStore.close();
+  });
+
+  test('Event log', async () => {
+    const { feedStore } = await createDefault();
+
+    const live = feedStore.createEventStream({ live: true });
+    const liveEvents = [];
+    live.on('data', event => liveEvents.push(event));
+    const liveClosed = new Promise(resolve => live.on('error', resolve));
+
+    const booksFeed = await feedStore.openFeed('/books', { metadata: { topic: 'books' } });
+    await feedStore.getDescriptors().find(fd => fd.path === '/books').setMetadata({ topic: 'novels' });
+    await feedStore.closeFeed('/books');
+    await feedStore.deleteDescriptor('/books');
+
+    const expected = [
+      { seq: 0, type: 'created', path: '/books', key: booksFeed.key, metadata: { topic: 'books' } },
+      { seq: 1, type: 'opened', path: '/books', key: booksFeed.key },
+      { seq: 2, type: 'metadata-updated', path: '/books', metadata: { topic: 'novels' } },
+      { seq: 3, type: 'closed', path: '/books' },
+      { seq: 4, type: 'deleted', path: '/books' }
+    ];
+    await waitForExpect(() => expect(liveEvents).toMatchObject(expected));
+    expect(typeof liveEvents[0].timestamp).toBe('number');
+
+    await feedStore.close();
+    await expect(liveClosed).resolves.toThrow(/FeedStore closed/);
+
+    // The log is persisted.
+    await feedStore.open();
+    const events = [];
+    await eos(feedStore.createEventStream({ since: 3 }).on('data', event => events.push(event)));
+    expect(events).toMatchObject(expected.slice(3));
+
+    await feedStore.close();
+  });
+
+  test('Iterate messages', async () => {
+    const { feedStore } = await createDefault();
+    const { booksFeed, usersFeed } = await defaultFeeds(feedStore);
+
+    for (const book of ['Foundation', 'Foundation and Empire', 'Second Foundation']) {
+      await append(booksFeed, book);
+    }
+    await append(usersFeed, 'alice');
+    await append(usersFeed, 'bob');
+
+    const collect = async iterable => {
+      const messages = [];
+      for await (const message of iterable) {
+        messages.push(message === SYNC ? message : message.data);
+      }
+      return messages;
+    };
+
+    expect((await collect(feedStore.iterate())).sort()).toEqual(['Foundation', 'Foundation and Empire', 'Second Foundation', 'alice', 'bob']);
+    expect(await collect(feedStore.iterate({ filter: fd => fd.path === '/users' }))).toEqual(['alice', 'bob']);
+    expect(await collect(feedStore.iterate({ compare: (a, b) => a.data.localeCompare(b.data) })))
+      .toEqual(['alice', 'bob', 'Foundation', 'Foundation and Empire', 'Second Foundation']);
+
+    // Per feed iteration.
+    expect(await collect(feedStore.iterateFeed('/books', { reverse: true, batch: 2 })))
+      .toEqual(['Second Foundation', 'Foundation and Empire', 'Foundation']);
+    expect(await collect(feedStore.iterateFeed('/books', { start: 1, end: 2 }))).toEqual(['Foundation and Empire']);
+    await expect(collect(feedStore.iterateFeed('/foo'))).rejects.toThrow(/Feed not found/);
+
+    // Live iteration with the sync point.
+    const onSync = jest.fn();
+    const received = [];
+    for await (const message of feedStore.iterate({ live: true, filter: fd => fd.path === '/users', onSync, syncSentinel: true })) {
+      received.push(message === SYNC ? message : message.data);
+      if (message === SYNC) {
+        await append(usersFeed, 'carol');
+      } else if (message.data === 'carol') {
+        break;
+      }
+    }
+    expect(received).toEqual(['alice', 'bob', SYNC, 'carol']);
+    expect(onSync).toHaveBeenCalledWith({ [usersFeed.key.toString('hex')]: 1 });
+
+    // Cancellation with an AbortSignal.
+    const listeners = new Set();
+    const signal = {
+      aborted: false,
+      addEventListener: (_, listener) => listeners.add(listener),
+      removeEventListener: (_, listener) => listeners.delete(listener)
+    };
+    const abort = () => {
+      signal.aborted = true;
+      listeners.forEach(listener => listener());
+    };
+    const live = collect(feedStore.iterate({ live: true, signal, onSync: abort }));
+    await expect(live).rejects.toThrow(/aborted/);
+    expect(listeners.size).toBe(0);
+
+    await feedStore.close();
+  });
+
+  test('Namespaces', async () => {
+    const { directory, feedStore } = await createDefault();
+    const { booksFeed } = await defaultFeeds(feedStore);
+
+    const foo = await feedStore.namespace('foo');
+    const bar = await feedStore.namespace('bar');
+    await expect(feedStore.namespace('foo')).resolves.toBe(foo);
+    await expect(feedStore.namespace('foo/bar')).rejects.toThrow(/name must contain/);
+
+    const onFeed = jest.fn();
+    feedStore.on('feed', onFeed);
+
+    const fooBooks = await foo.openFeed('/books');
+    await bar.openFeed('/users');
+    expect(fooBooks.key).not.toEqual(booksFeed.key);
+    expect(onFeed).not.toHaveBeenCalled();
+
+    const paths = store => store.getDescriptors().map(fd => fd.path).sort();
+    expect(paths(feedStore)).toEqual(['/books', '/groups', '/users']);
+    expect(paths(foo)).toEqual(['/books']);
+    expect(paths(bar)).toEqual(['/users']);
+    expect(fs.existsSync(path.join(directory, '@namespace', 'foo', fooBooks.key.toString('hex'), 'key'))).toBe(true);
+
+    await append(fooBooks, 'Dune');
+    const messages = [];
+    for await (const { data } of foo.iterate()) {
+      messages.push(data);
+    }
+    expect(messages).toEqual(['Dune']);
+
+    await foo.deleteAllDescriptors();
+    expect(paths(foo)).toEqual([]);
+    expect(paths(feedStore)).toEqual(['/books', '/groups', '/users']);
+
+    // The namespaces are closed with the store and their descriptors are persisted.
+    await feedStore.close();
+    expect(bar.closed).toBe(true);
+
+    await feedStore.open();
+    expect(paths(feedStore)).toEqual(['/books', '/groups', '/users']);
+    expect(paths(await feedStore.namespace('bar'))).toEqual(['/users']);
+    expect(paths(await feedStore.namespace('foo'))).toEqual([]);
+
+    await feedStore.close();
+  });
+
+  test('Derive the feed keys from a seed', async () => {
+    const directory = tempy.directory();
+    const seed = generateSeed();
+
+    const feedStore = await FeedStore.create(directory, { feedOptions: { valueEncoding: 'utf-8' }, seed });
+    const booksFeed = await feedStore.openFeed('/books');
+    expect(booksFeed.key).toEqual(deriveKeyPair(seed, '/books').publicKey);
+    expect(booksFeed.writable).toBe(true);
+    await append(booksFeed, 'Foundation');
+
+    const namespaceBooks = await (await feedStore.namespace('foo')).openFeed('/books');
+    expect(namespaceBooks.key).not.toEqual(booksFeed.key);
+    await feedStore.close();
+
+    // The descriptors are recovered from the seed with an empty IndexDB.
+    const recovered = await FeedStore.create(directory, { feedOptions: { valueEncoding: 'utf-8' }, seed, indexDB: 'memory' });
+    expect(recovered.getDescriptors()).toEqual([]);
+    const [feed] = await recovered.recoverFromSeed(['/books']);
+    expect(feed.key).toEqual(booksFeed.key);
+    await expect(head(feed)).resolves.toBe('Foundation');
+    await recovered.close();
+
+    const withoutSeed = await FeedStore.create(ram);
+    await expect(withoutSeed.recoverFromSeed(['/books'])).rejects.toThrow(/Missing seed/);
+    await expect(FeedStore.create(ram, { seed: Buffer.from('seed') })).rejects.toThrow(/seed must be/);
+  });
+
+  test('Encrypted feeds', async () => {
+    const root = tempy.directory();
+    const keyring = new Keyring(Keyring.generateMasterKey());
+
+    let feedStore = await FeedStore.create(root, { keyring });
+    const feed = await feedStore.openFeed('/secret', { valueEncoding: 'json', encryption: true });
+    await feedStore.append('/secret', { title: 'Foundation' });
+    await append(feed, { title: 'Dune' });
+
+    const descriptor = feedStore.getDescriptors().find(fd => fd.path === '/secret');
+    expect(descriptor.encrypted).toBe(true);
+
+    // The blocks are stored encrypted.
+    const block = await pify(feed.get.bind(feed))(0, { valueEncoding: 'binary' });
+    expect(block.includes('Foundation')).toBe(false);
+
+    const messages = [];
+    const stream = feedStore.createReadStream();
+    stream.on('data', ({ data }) => messages.push(data));
+    await eos(stream);
+    expect(messages).toEqual([{ title: 'Foundation' }, { title: 'Dune' }]);
+
+    // The content key is sealed with the keyring.
+    const [record] = await feedStore._indexDB.list('@feedstore');
+    expect(record.contentKey.equals(descriptor.contentKey)).toBe(false);
+    await feedStore.close();
+
+    feedStore = await FeedStore.create(root, { keyring });
+    await expect(head(await feedStore.openFeed('/secret'))).resolves.toEqual({ title: 'Dune' });
+
+    // Another store reads the feed with a grant.
+    const keyPair = generateAccessKeyPair();
+    const grant = await feedStore.grantReadAccess('/secret', keyPair.publicKey);
+    const reader = await FeedStore.create(ram);
+    const readerFeed = await reader.acceptReadAccess('/shared', grant, keyPair, { valueEncoding: 'json' });
+    expect(readerFeed.key).toEqual(feed.key);
+
+    const { publicKey: topic } = crypto.keyPair();
+    const streamA = feedStore.replicate({ key: topic });
+    const streamB = reader.replicate({ key: topic });
+    pump(streamA, streamB, streamA);
+    await waitForExpect(() => expect(readerFeed.length).toBe(2));
+    await expect(head(readerFeed)).resolves.toEqual({ title: 'Dune' });
+
+    // The grant is sealed for the recipient.
+    await expect(reader.acceptReadAccess('/other', grant, generateAccessKeyPair())).rejects.toThrow(/Invalid access grant/);
+    await expect(feedStore.grantReadAccess('/missing', keyPair.publicKey)).rejects.toThrow(/Feed not found/);
+
+    await feedStore.close();
+    await reader.close();
+  });
+
+  test('Blobs', async () => {
+    const root = tempy.directory();
+    const data = crypto.randomBytes(5000);
+
+    let feedStore = await FeedStore.create(root, { blobs: { chunkSize: 1024 } });
+    await feedStore.openFeed('/books');
+    await feedStore.openFeed('/users');
+
+    const hash = await feedStore.putBlob(data, { path: '/books' });
+    await expect(feedStore.putBlob(data, { path: '/users' })).resolves.toEqual(hash);
+    await expect(feedStore.putBlob(data, { path: '/missing' })).rejects.toThrow(/Feed not found/);
+    expect(fs.existsSync(path.join(root, '@blob', hash.toString('hex')))).toBe(true);
+
+    const chunks = [];
+    const stream = feedStore.createBlobReadStream(hash);
+    stream.on('data', chunk => chunks.push(chunk));
+    await eos(stream);
+    expect(chunks.map(chunk => chunk.length)).toEqual([1024, 1024, 1024, 1024, 904]);
+    expect(Buffer.concat(chunks)).toEqual(data);
+    await feedStore.close();
+
+    feedStore = await FeedStore.create(root);
+    await expect(feedStore.getBlob(hash.toString('hex'))).resolves.toEqual(data);
+
+    // The blob is removed with the last feed referencing it.
+    await feedStore.destroyFeed('/books');
+    await expect(feedStore.getBlob(hash)).resolves.toEqual(data);
+    await feedStore.destroyFeed('/users');
+    await expect(feedStore.getBlob(hash)).rejects.toThrow(/Blob not found/);
+    expect(fs.existsSync(path.join(root, '@blob', hash.toString('hex')))).toBe(false);
+
+    // The blobs without references are collected.
+    const unreferenced = await feedStore.putBlob(Buffer.from('unreferenced'));
+    await feedStore.openFeed('/books');
+    const referenced = await feedStore.putBlob(Buffer.from('referenced'));
+    await feedStore.referenceBlob('/books', referenced);
+    await expect(feedStore.collectBlobs()).resolves.toBe(1);
+    await expect(feedStore.getBlob(unreferenced)).rejects.toThrow(/Blob not found/);
+    await expect(feedStore.getBlob(referenced)).resolves.toEqual(Buffer.from('referenced'));
+    await feedStore.unreferenceBlob('/books', referenced);
+    await expect(feedStore.getBlob(referenced)).rejects.toThrow(/Blob not found/);
+
+    await feedStore.close();
+  });
+
+  test('Bound the opened blob files', async () => {
+    const feedStore = await FeedStore.create(tempy.directory(), { blobs: { chunkSize: 1024, maxOpenFiles: 2 } });
+    await feedStore.openFeed('/books');
+
+    const blobs = [crypto.randomBytes(10), crypto.randomBytes(10), crypto.randomBytes(10)];
+    const hashes = [];
+    for (const data of blobs) {
+      hashes.push(await feedStore.putBlob(data, { path: '/books' }));
+    }
+    expect(feedStore._blobs._files.size).toBe(2);
+
+    // The closed files are opened again.
+    for (const [i, hash] of hashes.entries()) {
+      await expect(feedStore.getBlob(hash)).resolves.toEqual(blobs[i]);
+    }
+    expect(feedStore._blobs._files.size).toBe(2);
+
+    // A blob removed while it's read fails the stream.
+    const data = crypto.randomBytes(64 * 1024);
+    const hash = await feedStore.putBlob(data, { path: '/books' });
+    const stream = feedStore.createBlobReadStream(hash);
+    await new Promise(resolve => stream.once('data', resolve));
+    stream.pause();
+    await feedStore.unreferenceBlob('/books', hash);
+    stream.resume();
+    await expect(eos(stream)).rejects.toThrow(/Blob not found/);
+
+    await feedStore.close();
+  });
+
+  test('Stats and metrics', async () => {
+    const metrics = { counter: jest.fn(), histogram: jest.fn() };
+    const feedStore = await FeedStore.create(ram, { feedOptions: { valueEncoding: 'utf-8' }, metrics });
+    const { booksFeed } = await defaultFeeds(feedStore);
+    await append(booksFeed, 'Foundation');
+    await append(booksFeed, 'Dune');
+    await feedStore.closeFeed('/groups');
+
+    const messages = [];
+    const stream = feedStore.createReadStream({ live: true });
+    stream.on('data', message => messages.push(message));
+    await waitForExpect(() => expect(messages.length).toBe(2));
+
+    const stats = feedStore.stats();
+    expect(stats.feeds).toEqual({ total: 3, opened: 2, closed: 1, pinned: 2 });
+
+    const books = stats.descriptors.find(descriptor => descriptor.path === '/books');
+    expect(books).toMatchObject({ opened: true, blocks: 2, bytes: 'FoundationDune'.length });
+    expect(books.locks.locks).toBeGreaterThan(0);
+    expect(stats.descriptors.find(descriptor => descriptor.path === '/groups')).toMatchObject({ opened: false, blocks: null });
+
+    expect(stats.readers).toHaveLength(1);
+    expect(stats.readers[0].lag).toBe(0);
+    expect(stats.readers[0].feeds.find(feed => feed.path === '/books')).toMatchObject({ position: 2, length: 2, lag: 0 });
+    expect(stats.locks.waiting).toBe(0);
+
+    expect(metrics.counter).toHaveBeenCalledWith('feedstore.feed.opened', 1, { path: '/books' });
+    expect(metrics.counter).toHaveBeenCalledWith('feedstore.append', 1, { path: '/books' });
+    expect(metrics.counter).toHaveBeenCalledWith('feedstore.persist', 1, { type: 'event' });
+    expect(metrics.counter).toHaveBeenCalledWith('feedstore.read', 2, { path: '/books' });
+    expect(metrics.counter).toHaveBeenCalledWith('feedstore.persist', 1, { type: 'descriptor' });
+    expect(metrics.histogram).toHaveBeenCalledWith('feedstore.feed.open.duration', expect.any(Number), { path: '/books' });
+    expect(metrics.histogram).toHaveBeenCalledWith('feedstore.persist.duration', expect.any(Number), { type: 'descriptor' });
+
+    // A batch append counts its blocks.
+    metrics.counter.mockClear();
+    await append(booksFeed, ['Hyperion', 'Solaris', 'Ubik']);
+    expect(metrics.counter).toHaveBeenCalledWith('feedstore.append', 3, { path: '/books' });
+
+    await feedStore.putBlob(Buffer.from('cover'));
+    await feedStore.transaction(tx => tx.append('/books', 'Neuromancer'));
+    await feedStore.defineIndex('titles', message => message.data);
+    await waitForExpect(() => {
+      for (const type of ['blob', 'journal', 'index']) {
+        expect(metrics.counter).toHaveBeenCalledWith('feedstore.persist', 1, { type });
+        expect(metrics.histogram).toHaveBeenCalledWith('feedstore.persist.duration', expect.any(Number), { type });
+      }
+    });
+
+    stream.destroy();
+    await feedStore.close();
+  });
+
+  test('Append through the write queue', async () => {
+    const feedStore = await FeedStore.create(ram, { feedOptions: { valueEncoding: 'utf-8' }, writeQueue: { highWaterMark: 10 } });
+
+    const appends = [];
+    for (let i = 0; i < 50; i++) {
+      appends.push(feedStore.append('/logs', `log${i}`));
+    }
+    await new Promise(resolve => setImmediate(resolve));
+    expect(feedStore.getWriteQueueStats()['/logs'].depth).toBeLessThanOrEqual(10);
+
+    await expect(Promise.all(appends)).resolves.toEqual([...Array(50).keys()]);
+
+    const [feed] = feedStore.getOpenFeeds(fd => fd.path === '/logs');
+    expect(feed.length).toBe(50);
+    await expect(head(feed)).resolves.toBe('log49');
+
+    const stats = feedStore.getWriteQueueStats()['/logs'];
+    expect(stats).toMatchObject({ depth: 0, messages: 50 });
+    expect(stats.batches).toBeLessThan(50);
+
+    const stream = feedStore.createWriteStream('/logs');
+    for (let i = 50; i < 100; i++) {
+      stream.write(`log${i}`);
+    }
+    stream.end();
+    await eos(stream);
+    expect(feed.length).toBe(100);
+    await expect(head(feed)).resolves.toBe('log99');
+
+    await feedStore.close();
+  });
+
+  test('Reject only the invalid appends of a batch', async () => {
+    const userSchema = { $id: 'user', type: 'object', required: ['name'] };
+    const feedStore = await FeedStore.create(ram, { feedOptions: { valueEncoding: 'json' } });
+    await feedStore.openFeed('/users', { schema: userSchema });
+
+    const circular = { name: 'carol' };
+    circular.self = circular;
+
+    await Promise.all([
+      expect(feedStore.append('/users', { name: 'alice' })).resolves.toBe(0),
+      expect(feedStore.append('/users', { age: 10 })).rejects.toThrow(/Invalid message for schema "user"/),
+      expect(feedStore.append('/users', circular)).rejects.toThrow(/circular/),
+      expect(feedStore.append('/users', { name: 'bob' })).resolves.toBe(1)
+    ]);
+
+    // The feed is created again after being destroyed.
+    await feedStore.destroyFeed('/users');
+    await expect(feedStore.append('/users', { age: 10 })).resolves.toBe(0);
+    expect(feedStore.getDescriptors()[0].schema).toBeUndefined();
+
+    await feedStore.close();
+  });
+
+  test('Transactions', async () => {
+    const root = tempy.directory();
+    let feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'utf-8' } });
+
+    const books = await feedStore.openFeed('/books');
+    const authors = await feedStore.openFeed('/authors');
+
+    const messages = [];
+    const stream = feedStore.createReadStream({ live: true });
+    stream.on('data', msg => messages.push(msg.data));
+
+    await feedStore.transaction(async tx => {
+      tx.append('/books', 'book0');
+      tx.append('/authors', 'author0');
+    });
+    expect(books.length).toBe(1);
+    expect(authors.length).toBe(1);
+    await waitForExpect(() => expect(messages.sort()).toEqual(['author0', 'book0']));
+    await expect(feedStore._indexDB.get('@transaction')).resolves.toEqual({ journals: [] });
+
+    await expect(feedStore.transaction(async tx => tx.append('/unknown', 'msg'))).rejects.toThrow('Feed not found: /unknown');
+
+    // Interrupted transaction: the messages written are not streamed.
+    authors.append = (messages, cb) => cb(new Error('write error'));
+    await expect(feedStore.transaction(async tx => {
+      tx.append('/books', 'book1');
+      tx.append('/authors', 'author1');
+    })).rejects.toThrow('write error');
+    expect(books.length).toBe(2);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(messages.length).toBe(2);
+
+    // The next appends fail while the missing blocks can't be written.
+    await expect(feedStore.append('/books', 'book2')).rejects.toThrow('write error');
+    expect(books.length).toBe(2);
+
+    // The missing blocks are written before the next append.
+    delete authors.append;
+    await feedStore.append('/authors', 'author2');
+    await waitForExpect(() => expect(messages.sort()).toEqual(['author0', 'author1', 'author2', 'book0', 'book1']));
+    await expect(feedStore._indexDB.get('@transaction')).resolves.toBeUndefined();
+
+    // Interrupted again, the journal is replayed on open.
+    authors.append = (messages, cb) => cb(new Error('write error'));
+    await expect(feedStore.transaction(async tx => {
+      tx.append('/books', 'book3');
+      tx.append('/authors', 'author3');
+    })).rejects.toThrow('write error');
+    delete authors.append;
+
+    stream.destroy();
+    await feedStore.close();
+
+    feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'utf-8' } });
+    await expect(feedStore._indexDB.get('@transaction')).resolves.toBeUndefined();
+
+    const [reopenedBooks] = feedStore.getOpenFeeds(fd => fd.path === '/books');
+    const [reopenedAuthors] = feedStore.getOpenFeeds(fd => fd.path === '/authors');
+    expect(reopenedBooks.length).toBe(3);
+    expect(reopenedAuthors.length).toBe(4);
+    await expect(head(reopenedBooks)).resolves.toBe('book3');
+    await expect(head(reopenedAuthors)).resolves.toBe('author3');
+
+    await feedStore.close();
+  });
+
+  test('Journal the encrypted blocks of a transaction', async () => {
+    const root = tempy.directory();
+    let feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'utf-8' } });
+
+    const feed = await feedStore.openFeed('/secret', { encryption: true });
+    feed.append = (messages, cb) => cb(new Error('write error'));
+    await expect(feedStore.transaction(async tx => tx.append('/secret', 'plaintext'))).rejects.toThrow('write error');
+
+    const { journals: [{ appends: [{ blocks, written }] }] } = await feedStore._indexDB.get('@transaction');
+    expect(blocks.length).toBe(1);
+    expect(blocks[0].includes('plaintext')).toBe(false);
+    expect(written).toBe(0);
+
+    delete feed.append;
+    await feedStore.close();
+
+    feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'utf-8' } });
+    const reopened = await feedStore.openFeed('/secret');
+    await expect(head(reopened)).resolves.toBe('plaintext');
+    await feedStore.close();
+  });
+
+  test('Export and import feeds', async () => {
+    const { feedStore } = await createDefault();
+    const { booksFeed } = await defaultFeeds(feedStore);
+    for (let i = 0; i < 10; i++) {
+      await append(booksFeed, `book${i}`);
+    }
+
+    const exportFeed = async (options) => {
+      const chunks = [];
+      const stream = new PassThrough();
+      stream.on('data', chunk => chunks.push(chunk));
+      await feedStore.exportFeed('/books', stream, options);
+      return Buffer.concat(chunks);
+    };
+
+    const importFeed = async (feedStore, archive, options) => {
+      const stream = new PassThrough();
+      stream.end(archive);
+      return feedStore.importFeed(stream, options);
+    };
+
+    await expect(feedStore.exportFeed('/foo', new PassThrough())).rejects.toThrow(/Feed not found/);
+
+    const archive = await exportFeed();
+    const archiveWithSecretKey = await exportFeed({ secretKey: true });
+
+    const { feedStore: feedStore2 } = await createDefault();
+    await expect(importFeed(feedStore2, Buffer.from('{}'))).rejects.toThrow(/Invalid feed archive/);
+
+    // Tampered blocks are rejected.
+    const tampered = Buffer.from(archive.toString().replace(Buffer.from('book5').toString('base64'), Buffer.from('book6').toString('base64')));
+    expect(tampered.equals(archive)).toBe(false);
+    await expect(importFeed(feedStore2, tampered)).rejects.toThrow();
+    expect(feedStore2.getDescriptors().length).toBe(0);
+
+    const feed = await importFeed(feedStore2, archive);
+    expect(feed.key).toEqual(booksFeed.key);
+    expect(feed.writable).toBe(false);
+    expect(feed.length).toBe(10);
+    await expect(head(feed)).resolves.toBe('book9');
+
+    const descriptor = feedStore2.getDescriptors().find(fd => fd.path === '/books');
+    expect(descriptor.metadata).toEqual({ topic: 'books' });
+    await expect(importFeed(feedStore2, archive)).rejects.toThrow(/Feed exists/);
+
+    const { feedStore: feedStore3 } = await createDefault();
+    const writableFeed = await importFeed(feedStore3, archiveWithSecretKey, { path: '/imported' });
+    expect(writableFeed.writable).toBe(true);
+    await append(writableFeed, 'book10');
+    expect(feedStore3.getDescriptors().map(fd => fd.path)).toEqual(['/imported']);
+  });
+
+  test('Export and import the schema and retention of a feed', async () => {
+    const schema = { $id: 'book', type: 'string' };
+    const feedStore = await FeedStore.create(ram, { feedOptions: { valueEncoding: 'json' }, schemas: { book: schema } });
+    await feedStore.openFeed('/books', { schema: 'book', retention: { maxBlocks: 5 } });
+    await feedStore.append('/books', 'Foundation');
+
+    const chunks = [];
+    const stream = new PassThrough();
+    stream.on('data', chunk => chunks.push(chunk));
+    await feedStore.exportFeed('/books', stream);
+    const archive = Buffer.concat(chunks);
+
+    const importFeed = (feedStore, options) => {
+      const stream = new PassThrough();
+      stream.end(archive);
+      return feedStore.importFeed(stream, options);
+    };
+
+    // The schema must be registered.
+    const withoutSchema = await FeedStore.create(ram);
+    await expect(importFeed(withoutSchema)).rejects.toThrow(/Schema not found: book/);
+    expect(withoutSchema.getDescriptors()).toEqual([]);
+
+    const feedStore2 = await FeedStore.create(ram, { schemas: { book: schema } });
+    await importFeed(feedStore2);
+    const [descriptor] = feedStore2.getDescriptors();
+    expect(descriptor.schema).toBe('book');
+    expect(descriptor.retention).toEqual({ maxBlocks: 5 });
+    expect(descriptor.validate(1)).toBeInstanceOf(Error);
+
+    await feedStore.close();
+    await withoutSchema.close();
+    await feedStore2.close();
+  });
+
+  test('Export and import an encrypted feed', async () => {
+    const feedStore = await FeedStore.create(ram, { feedOptions: { valueEncoding: 'json' } });
+    await feedStore.openFeed('/secret', { encryption: true });
+    await feedStore.append('/secret', { title: 'Foundation' });
+    const { contentKey } = feedStore.getDescriptors()[0];
+
+    const exportFeed = async options => {
+      const chunks = [];
+      const stream = new PassThrough();
+      stream.on('data', chunk => chunks.push(chunk));
+      await feedStore.exportFeed('/secret', stream, options);
+      return Buffer.concat(chunks);
+    };
+
+    const importFeed = (feedStore, archive, options) => {
+      const stream = new PassThrough();
+      stream.end(archive);
+      return feedStore.importFeed(stream, options);
+    };
+
+    const imported = await FeedStore.create(tempy.directory());
+    const feed = await importFeed(imported, await exportFeed());
+    expect(imported.getDescriptors()[0].encrypted).toBe(true);
+    await expect(head(feed)).resolves.toEqual({ title: 'Foundation' });
+
+    // Without the content key in the archive it must be provided.
+    const archive = await exportFeed({ contentKey: false });
+    const header = JSON.parse(archive.slice(0, archive.indexOf('\n')));
+    expect(header).toMatchObject({ encrypted: true });
+    expect(header.contentKey).toBeUndefined();
+    const withoutKey = await FeedStore.create(tempy.directory());
+    await expect(importFeed(withoutKey, archive)).rejects.toThrow('Missing content key of the encrypted feed');
+    const withKey = await importFeed(withoutKey, archive, { contentKey });
+    await expect(head(withKey)).resolves.toEqual({ title: 'Foundation' });
+
+    await feedStore.close();
+    await imported.close();
+    await withoutKey.close();
+  });
+
   test('Default codec: binary', async () => {
     const feedStore = await FeedStore.create(ram);
     expect(feedStore).toBeInstanceOf(FeedStore);
@@ -534,6 +1289,172 @@ describe('FeedStore', () => {
     });
   });
 
+  test('createReadStream from a checkpoint', async () => {
+    const feedStore = await FeedStore.create(ram, { feedOptions: { valueEncoding: 'utf-8' } });
+
+    const [feed1, feed2, feed3] = await generateStreamData(feedStore, 10);
+
+    let stream = feedStore.createReadStream();
+    stream.on('data', () => {});
+    await eos(stream);
+    const checkpoint = stream.state();
+
+    await append(feed1, 'feed1/message10');
+    await append(feed3, 'feed3/message0');
+
+    const onSync = jest.fn();
+    const messages = [];
+    stream = feedStore.createReadStream({ checkpoint: { [feed1.key.toString('hex')]: checkpoint[feed1.key.toString('hex')] } });
+    stream.on('data', msg => messages.push(msg.data));
+    stream.on('sync', onSync);
+    await eos(stream);
+
+    // feed2 and feed3 are not in the checkpoint so they are read from the beginning.
+    expect(messages.filter(msg => msg.startsWith('feed1'))).toEqual(['feed1/message10']);
+    expect(messages.filter(msg => msg.startsWith('feed2')).length).toBe(10);
+    expect(messages.filter(msg => msg.startsWith('feed3'))).toEqual(['feed3/message0']);
+    expect(onSync).toHaveBeenCalledWith({
+      [feed1.key.toString('hex')]: 10,
+      [feed2.key.toString('hex')]: 9,
+      [feed3.key.toString('hex')]: 0
+    });
+  });
+
+  test('createReadStream with a persisted consumer checkpoint', async () => {
+    const root = tempy.directory();
+    let feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'utf-8' } });
+
+    const [feed1, feed2] = await generateStreamData(feedStore, 10);
+
+    let messages = [];
+    let stream = feedStore.createReadStream({ consumer: 'indexer' });
+    stream.on('data', msg => messages.push(msg.data));
+    await eos(stream);
+    expect(messages.length).toBe(20);
+
+    await append(feed2, 'feed2/message10');
+    await feedStore.close();
+
+    feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'utf-8' } });
+    await expect(feedStore.getCheckpoint('indexer')).resolves.toEqual({
+      [feed1.key.toString('hex')]: 9,
+      [feed2.key.toString('hex')]: 9
+    });
+    await feedStore.openFeeds(() => true);
+
+    messages = [];
+    stream = feedStore.createReadStream({ consumer: 'indexer' });
+    stream.on('data', msg => messages.push(msg.data));
+    await eos(stream);
+    expect(messages).toEqual(['feed2/message10']);
+
+    // Other consumers read everything.
+    messages = [];
+    stream = feedStore.createReadStream({ consumer: 'other' });
+    stream.on('data', msg => messages.push(msg.data));
+    await eos(stream);
+    expect(messages.length).toBe(21);
+
+    await feedStore.deleteCheckpoint('indexer');
+    await expect(feedStore.getCheckpoint('indexer')).resolves.toEqual({});
+  });
+
+  test('createReadStream resumes after the messages received by the consumer', async () => {
+    const root = tempy.directory();
+    let feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'utf-8' } });
+
+    const feed = await feedStore.openFeed('/books');
+    for (let i = 0; i < 50; i++) {
+      await append(feed, `message${i}`);
+    }
+
+    // Read 10 messages, the rest are buffered by the stream.
+    let messages = [];
+    let stream = feedStore.createReadStream({ consumer: 'indexer' });
+    await new Promise(resolve => {
+      stream.on('data', msg => {
+        messages.push(msg.data);
+        if (messages.length === 10) {
+          stream.pause();
+          resolve();
+        }
+      });
+    });
+    stream.destroy();
+    await feedStore.close();
+
+    feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'utf-8' } });
+    await expect(feedStore.getCheckpoint('indexer')).resolves.toEqual({ [feed.key.toString('hex')]: 9 });
+    await feedStore.openFeeds(() => true);
+
+    messages = [];
+    stream = feedStore.createReadStream({ consumer: 'indexer' });
+    stream.on('data', msg => messages.push(msg.data));
+    await eos(stream);
+    expect(messages).toEqual(Array.from({ length: 40 }, (_, i) => `message${i + 10}`));
+
+    await feedStore.close();
+  });
+
+  test('Retention policies', async () => {
+    const root = tempy.directory();
+    let feedStore = await FeedStore.create(root, {
+      feedOptions: { valueEncoding: 'json' },
+      retention: { timestamp: data => data.timestamp }
+    });
+
+    const feed = await feedStore.openFeed('/logs', { retention: { maxBlocks: 3 } });
+    for (let i = 0; i < 10; i++) {
+      await append(feed, { i, timestamp: Date.now() });
+    }
+
+    await feedStore.applyRetention();
+    const descriptor = feedStore.getDescriptors().find(fd => fd.path === '/logs');
+    expect(descriptor.cleared).toBe(7);
+    expect(feed.has(6)).toBe(false);
+    expect(feed.has(7)).toBe(true);
+
+    const onSync = jest.fn();
+    let messages = [];
+    let stream = feedStore.createReadStream();
+    stream.on('data', msg => messages.push(msg.data.i));
+    stream.on('sync', onSync);
+    await eos(stream);
+    expect(messages).toEqual([7, 8, 9]);
+    expect(onSync).toHaveBeenCalledWith({ [feed.key.toString('hex')]: 9 });
+
+    await feedStore.close();
+
+    // The policy and the cleared blocks are persisted.
+    feedStore = await FeedStore.create(root, {
+      feedOptions: { valueEncoding: 'json' },
+      retention: { timestamp: data => data.timestamp }
+    });
+    const [reopened] = feedStore.getDescriptors();
+    expect(reopened.retention).toEqual({ maxBlocks: 3 });
+    expect(reopened.cleared).toBe(7);
+
+    // The last block is always retained.
+    await feedStore.openFeed('/logs');
+    await reopened.setRetention({ maxAge: 0 });
+    await feedStore.applyRetention();
+    expect(reopened.cleared).toBe(9);
+
+    messages = [];
+    stream = feedStore.createReadStream();
+    stream.on('data', msg => messages.push(msg.data.i));
+    await eos(stream);
+    expect(messages).toEqual([9]);
+
+    await feedStore.close();
+
+    // maxAge requires a timestamp extractor.
+    feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'json' } });
+    await expect(feedStore.openFeed('/events', { retention: { maxAge: 1000 } })).rejects.toThrow(/retention.maxAge requires/);
+    await expect(feedStore.getDescriptors()[0].setRetention({ maxAge: 1000 })).rejects.toThrow(/retention.maxAge requires/);
+    await feedStore.close();
+  });
+
   test('append event', async (done) => {
     const feedStore = await FeedStore.create(ram);
     const feed = await feedStore.openFeed('/test');
@@ -561,6 +1482,298 @@ describe('FeedStore', () => {
     expect(descriptor.metadata).toEqual({ tag: 1 });
   });
 
+  test('Validate messages with a schema', async () => {
+    const root = tempy.directory();
+    const userSchema = {
+      $id: 'user',
+      type: 'object',
+      properties: { name: { type: 'string' } },
+      required: ['name']
+    };
+
+    let feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'json' } });
+    const feed = await feedStore.openFeed('/users', { schema: userSchema });
+
+    await feedStore.append('/users', { name: 'alice' });
+    await expect(feedStore.append('/users', { age: 10 })).rejects.toThrow(/Invalid message for schema "user"/);
+    await expect(feedStore.transaction(tx => {
+      tx.append('/users', { name: 'bob' });
+      tx.append('/users', { name: 1 });
+    })).rejects.toThrow(/Invalid message for schema "user"/);
+    expect(feed.length).toBe(1);
+
+    // Historic blocks written without validation.
+    await append(feed, { name: 2 });
+    await feedStore.append('/users', { name: 'bob' });
+
+    const onInvalid = jest.fn();
+    let messages = [];
+    let stream = feedStore.createReadStream({ validate: 'skip' });
+    stream.on('data', msg => messages.push(msg.data));
+    stream.on('invalid', onInvalid);
+    await eos(stream);
+    expect(messages).toEqual([{ name: 'alice' }, { name: 'bob' }]);
+    expect(onInvalid).toHaveBeenCalledTimes(1);
+    expect(onInvalid.mock.calls[0][0].seq).toBe(1);
+    expect(onInvalid.mock.calls[0][1].message).toMatch(/Invalid message for schema "user"/);
+
+    messages = [];
+    stream = feedStore.createReadStream({ validate: 'report' });
+    stream.on('data', msg => messages.push(msg.data));
+    await eos(stream);
+    expect(messages.length).toBe(3);
+
+    await feedStore.close();
+
+    // The schema id is persisted and must be registered to reopen the feed.
+    feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'json' } });
+    expect(feedStore.getDescriptors()[0].schema).toBe('user');
+    await expect(feedStore.openFeed('/users')).rejects.toThrow('Schema not found: user');
+    await feedStore.close();
+
+    feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'json' }, schemas: { user: userSchema } });
+    await feedStore.openFeed('/users');
+    await expect(feedStore.append('/users', {})).rejects.toThrow(/Invalid message for schema "user"/);
+    await feedStore.close();
+
+    // The schema can be registered again by opening the feed.
+    feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'json' } });
+    await feedStore.openFeed('/users', { schema: userSchema });
+    await expect(feedStore.append('/users', {})).rejects.toThrow(/Invalid message for schema "user"/);
+    await expect(feedStore.openFeed('/users', { schema: { $id: 'admin', type: 'object' } })).rejects.toThrow('Invalid schema "admin" for feed: /users');
+    await feedStore.close();
+  });
+
+  test('Validate messages with a protobuf type', async () => {
+    const type = {
+      fullName: '.dxos.Message',
+      verify: message => typeof message.text === 'string' ? null : 'text: string expected'
+    };
+
+    const feedStore = await FeedStore.create(ram, { feedOptions: { valueEncoding: 'json' } });
+    await feedStore.openFeed('/messages', { schema: type });
+
+    await feedStore.append('/messages', { text: 'hello' });
+    await expect(feedStore.append('/messages', { text: 1 })).rejects.toThrow('Invalid message for schema ".dxos.Message": text: string expected');
+    expect(feedStore.getDescriptors()[0].schema).toBe('.dxos.Message');
+
+    await feedStore.close();
+  });
+
+  test('Release feed handles by owner', async () => {
+    const { feedStore } = await createDefault();
+
+    await feedStore.openFeed('/books', { owner: 'indexer' });
+    await feedStore.openFeed('/books', { owner: 'sync' });
+    const feed = await feedStore.openFeed('/books', { owner: 'sync' });
+
+    expect(feedStore.getHolders()).toEqual([{
+      path: '/books',
+      key: feed.key,
+      holders: [{ owner: 'indexer', count: 1 }, { owner: 'sync', count: 2 }]
+    }]);
+
+    await feedStore.releaseFeed('/books', 'indexer');
+    await feedStore.releaseFeed('/books', 'sync');
+    expect(feed.closed).toBe(false);
+    await expect(feedStore.releaseFeed('/books', 'indexer')).rejects.toThrow('Feed not held by owner: indexer');
+
+    await feedStore.releaseFeed('/books', 'sync');
+    expect(feed.closed).toBe(true);
+    expect(feedStore.getHolders()).toEqual([]);
+
+    await expect(feedStore.releaseFeed('/unknown', 'sync')).rejects.toThrow('Feed not found: /unknown');
+  });
+
+  test('Close a feed held by owners', async () => {
+    const feedStore = await FeedStore.create(ram, { feedOptions: { valueEncoding: 'utf-8' }, maxOpenFeeds: 1 });
+    const opened = () => feedStore.getDescriptors().filter(fd => fd.opened).map(fd => fd.path).sort();
+
+    await feedStore.openFeed('/a', { owner: 'indexer' });
+    await feedStore.closeFeed('/a');
+    expect(feedStore.getHolders()).toEqual([]);
+
+    // The reopened feed is not pinned by the previous owners.
+    await feedStore.openFeed('/a');
+    expect(feedStore.getDescriptors()[0].pinned).toBe(false);
+    await feedStore.openFeed('/b', { owner: 'sync' });
+    await waitForExpect(() => expect(opened()).toEqual(['/b']));
+
+    await feedStore.openFeed('/c');
+    await feedStore.releaseFeed('/b', 'sync');
+    await waitForExpect(() => expect(opened()).toEqual(['/c']));
+
+    // The feed read by a live stream is not closed by the last release.
+    const messages = [];
+    const stream = feedStore.createReadStream({ live: true });
+    stream.on('data', ({ data }) => messages.push(data));
+    const feed = await feedStore.openFeed('/c', { owner: 'sync' });
+    await append(feed, 'c0');
+    await waitForExpect(() => expect(messages).toEqual(['c0']));
+    await feedStore.releaseFeed('/c', 'sync');
+    expect(feed.closed).toBe(false);
+    await append(feed, 'c1');
+    await waitForExpect(() => expect(messages).toEqual(['c0', 'c1']));
+
+    stream.destroy();
+    await feedStore.close();
+  });
+
+  test('Close the least recently used feeds', async () => {
+    const feedStore = await FeedStore.create(tempy.directory(), { feedOptions: { valueEncoding: 'utf-8' }, maxOpenFeeds: 2 });
+    const opened = () => feedStore.getDescriptors().filter(fd => fd.opened).map(fd => fd.path).sort();
+
+    const feedA = await feedStore.openFeed('/a');
+    await append(feedA, 'a0');
+    await feedStore.openFeed('/b');
+    await feedStore.openFeed('/c');
+    await waitForExpect(() => expect(opened()).toEqual(['/b', '/c']));
+
+    // Reopened on access.
+    const reopenedA = await feedStore.openFeed('/a');
+    await expect(head(reopenedA)).resolves.toBe('a0');
+    await waitForExpect(() => expect(opened()).toEqual(['/a', '/c']));
+
+    // The feeds of an active stream are pinned.
+    const stream = feedStore.createReadStream({ live: true });
+    stream.on('data', () => {});
+    await waitForExpect(() => expect(feedStore.getDescriptors().filter(fd => fd.pinned).length).toBe(2));
+    await feedStore.openFeed('/b');
+    await waitForExpect(() => expect(feedStore.getDescriptors().filter(fd => fd.pinned).length).toBe(3));
+    expect(opened()).toEqual(['/a', '/b', '/c']);
+
+    // Unpinned feeds are closed once the stream ends.
+    stream.destroy();
+    await waitForExpect(() => expect(opened().length).toBe(2));
+    expect(opened()).toContain('/b');
+
+    await feedStore.close();
+  });
+
+  test('Keep the feeds opened while they are written or read', async () => {
+    const feedStore = await FeedStore.create(tempy.directory(), { feedOptions: { valueEncoding: 'utf-8' }, maxOpenFeeds: 1 });
+    await feedStore.openFeed('/a');
+    await feedStore.openFeed('/b');
+    await feedStore.openFeed('/c');
+
+    await feedStore.transaction(async tx => {
+      tx.append('/a', 'a0');
+      tx.append('/b', 'b0');
+      tx.append('/c', 'c0');
+    });
+
+    for (let i = 1; i < 100; i++) {
+      await feedStore.append('/a', `a${i}`);
+    }
+
+    const stream = new PassThrough();
+    stream.resume();
+    const exported = feedStore.exportFeed('/a', stream);
+    await feedStore.openFeed('/b');
+    await feedStore.openFeed('/c');
+    await expect(exported).resolves.toBeUndefined();
+
+    // The feeds are closed once released.
+    await waitForExpect(() => expect(feedStore.getDescriptors().filter(fd => fd.opened).length).toBe(1));
+    await expect(feedStore.openFeed('/a')).resolves.toHaveProperty('length', 100);
+
+    await feedStore.close();
+  });
+
+  test('Seal secret keys with a keyring', async () => {
+    const root = tempy.directory();
+    const keyring = new Keyring(Keyring.generateMasterKey());
+
+    let feedStore = await FeedStore.create(root, { keyring });
+    const feed = await feedStore.openFeed('/test');
+    const secretKey = feed.secretKey;
+
+    const [record] = await feedStore._indexDB.list('@feedstore');
+    expect(record.sealed).toBe(true);
+    expect(record.secretKey.equals(secretKey)).toBe(false);
+    await feedStore.close();
+
+    // Without the keyring the store can't be opened.
+    await expect(FeedStore.create(root)).rejects.toThrow(/Missing keyring/);
+
+    // With a wrong master key neither.
+    await expect(FeedStore.create(root, { keyring: new Keyring(Keyring.generateMasterKey()) })).rejects.toThrow(/invalid master key/);
+
+    feedStore = await FeedStore.create(root, { keyring });
+    expect(feedStore.getDescriptors()[0].secretKey).toEqual(secretKey);
+
+    // Rotate the master key.
+    const newKeyring = Keyring.fromPassphrase('secret', Buffer.alloc(16, 1));
+    await feedStore.rotateKeyring(newKeyring);
+    await feedStore.close();
+
+    await expect(FeedStore.create(root, { keyring })).rejects.toThrow(/invalid master key/);
+
+    feedStore = await FeedStore.create(root, { keyring: Keyring.fromPassphrase('secret', Buffer.alloc(16, 1)) });
+    expect(feedStore.getDescriptors()[0].secretKey).toEqual(secretKey);
+
+    // Remove the keyring.
+    await feedStore.rotateKeyring(null);
+    await feedStore.close();
+
+    feedStore = await FeedStore.create(root);
+    expect(feedStore.getDescriptors()[0].secretKey).toEqual(secretKey);
+    await feedStore.close();
+  });
+
+  test('Rotate the keyring of the namespaces', async () => {
+    const root = tempy.directory();
+    const k1 = new Keyring(Keyring.generateMasterKey());
+    const k2 = new Keyring(Keyring.generateMasterKey());
+
+    // A namespace persisted with the old keyring.
+    let feedStore = await FeedStore.create(root, { keyring: k1 });
+    await (await feedStore.namespace('chat')).openFeed('/messages');
+    await feedStore.close();
+
+    feedStore = await FeedStore.create(root, { keyring: k1 });
+    await feedStore.rotateKeyring(k2);
+
+    // A namespace opened after the rotation uses the new keyring.
+    await (await feedStore.namespace('mod')).openFeed('/reports');
+    await feedStore.close();
+
+    feedStore = await FeedStore.create(root, { keyring: k2 });
+    const chat = await feedStore.namespace('chat');
+    expect(chat.getDescriptors()[0].secretKey).toBeTruthy();
+    const mod = await feedStore.namespace('mod');
+    expect(mod.getDescriptors()[0].secretKey).toBeTruthy();
+    await feedStore.close();
+  });
+
+  test('Keep the keyring if the rotation fails', async () => {
+    const root = tempy.directory();
+    const keyring = new Keyring(Keyring.generateMasterKey());
+
+    let feedStore = await FeedStore.create(root, { keyring });
+    await feedStore.openFeed('/books');
+    await feedStore.openFeed('/users');
+
+    // The seal of the second record fails.
+    const newKeyring = new Keyring(Keyring.generateMasterKey());
+    const seal = newKeyring.seal.bind(newKeyring);
+    let calls = 0;
+    newKeyring.seal = data => {
+      if (++calls > 1) {
+        throw new Error('seal failed');
+      }
+      return seal(data);
+    };
+
+    await expect(feedStore.rotateKeyring(newKeyring)).rejects.toThrow(/seal failed/);
+    await feedStore.openFeed('/groups');
+    await feedStore.close();
+
+    feedStore = await FeedStore.create(root, { keyring });
+    expect(feedStore.getDescriptors().map(descriptor => descriptor.path).sort()).toEqual(['/books', '/groups', '/users']);
+    await feedStore.close();
+  });
+
   test('openFeed should wait until FeedStore is ready', async () => {
     const feedStore = new FeedStore(ram);
     feedStore.open();
@@ -0,0 +1,166 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'hypercore-crypto';
+import pify from 'pify';
+
+const FEED_DIRECTORY = /^[0-9a-f]{64}$/;
+
+/**
+ * Result of the verification of a feed.
+ *
+ * @typedef {Object} FeedReport
+ * @property {string} path
+ * @property {Buffer} key
+ * @property {number} length
+ * @property {number[]} invalidBlocks Blocks whose data doesn't match the merkle tree.
+ * @property {string[]} errors
+ * @property {boolean} repaired
+ */
+
+/**
+ * Check the keys and the merkle tree of an opened feed.
+ *
+ * Repairing a feed clears its invalid blocks, they can be downloaded again from a peer.
+ *
+ * @param {FeedDescriptor} descriptor
+ * @param {Object} [options]
+ * @param {boolean} [options.repair=false]
+ * @returns {Promise<FeedReport>}
+ */
+export async function verifyFeed (descriptor, options = {}) {
+  const { repair = false } = options;
+  const { key, secretKey, feed } = descriptor;
+
+  const report = { path: descriptor.path, key, length: feed.length, invalidBlocks: [], errors: [], repaired: false };
+
+  if (!feed.key.equals(key)) {
+    report.errors.push('Public key does not match the descriptor');
+  }
+
+  if (secretKey && !secretKey.slice(32).equals(key)) {
+    report.errors.push('Secret key does not match the public key');
+  }
+
+  if (secretKey && feed.secretKey && !feed.secretKey.equals(secretKey)) {
+    report.errors.push('Stored secret key does not match the descriptor');
+  }
+
+  if (feed.length > 0 && !(await verifySignature(feed))) {
+    report.errors.push('Invalid signature of the merkle tree');
+  }
+
+  report.invalidBlocks = await findInvalidBlocks(feed);
+  if (report.invalidBlocks.length > 0) {
+    report.errors.push(`Invalid blocks: ${report.invalidBlocks.join(', ')}`);
+
+    if (repair) {
+      const clear = pify(feed.clear.bind(feed));
+      for (const index of report.invalidBlocks) {
+        await clear(index, index + 1);
+      }
+      report.repaired = true;
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Read the public key stored with a feed.
+ *
+ * @param {RandomAccessStorage} storage Storage of the `key` file.
+ * @returns {Promise<Buffer|null>} null if the file is missing or empty.
+ */
+export async function readStoredKey (storage) {
+  try {
+    const { size } = await pify(storage.stat.bind(storage))();
+    return size > 0 ? await pify(storage.read.bind(storage))(0, size) : null;
+  } catch (err) {
+    return null;
+  } finally {
+    await pify(storage.close.bind(storage))().catch(() => {});
+  }
+}
+
+/**
+ * List the feeds stored in a directory (each feed is stored in a directory named by its public key).
+ *
+ * @param {string} root
+ * @returns {Promise<{ key: Buffer, secretKey: (Buffer|undefined) }[]>}
+ */
+export async function listStoredFeeds (root) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(root, { withFileTypes: true });
+  } catch (err) {
+    return [];
+  }
+
+  const feeds = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !FEED_DIRECTORY.test(entry.name)) {
+      continue;
+    }
+
+    const key = await readFile(path.join(root, entry.name, 'key'));
+    if (!key || key.toString('hex') !== entry.name) {
+      continue;
+    }
+
+    const secretKey = await readFile(path.join(root, entry.name, 'secret_key'));
+    feeds.push({ key, secretKey: (secretKey && secretKey.slice(32).equals(key)) ? secretKey : undefined });
+  }
+
+  return feeds;
+}
+
+async function verifySignature (feed) {
+  try {
+    const { index, signature } = await pify(feed.signature.bind(feed))();
+    return await pify(feed.verify.bind(feed))(index, signature);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Same check than `feed.audit` without updating the bitfield.
+ *
+ * @param {Hypercore} feed
+ * @returns {Promise<number[]>}
+ */
+async function findInvalidBlocks (feed) {
+  const getNode = pify(feed._storage.getNode.bind(feed._storage));
+  const getData = pify(feed._storage.getData.bind(feed._storage));
+
+  const invalid = [];
+  for (let index = 0; index < feed.length; index++) {
+    if (!feed.has(index)) {
+      continue;
+    }
+
+    try {
+      const node = await getNode(2 * index);
+      const data = await getData(index);
+      if (!crypto.data(data).equals(node.hash)) {
+        invalid.push(index);
+      }
+    } catch (err) {
+      invalid.push(index);
+    }
+  }
+
+  return invalid;
+}
+
+async function readFile (filename) {
+  try {
+    return await fs.promises.readFile(filename);
+  } catch (err) {
+    return null;
+  }
+}
@@ -6,8 +6,25 @@ import assert from 'assert';
 
 import pify from 'pify';
 
+/**
+ * Interface of the databases used to index the feed descriptors.
+ *
+ * Keys are strings separated by `/` and values are serializable objects (buffers included).
+ *
+ * @typedef {Object} IndexDBAdapter
+ * @property {(key: string) => Promise<*>} get Returns `undefined` if the key doesn't exist.
+ * @property {(key: string, value: *) => Promise} put
+ * @property {(key: string) => Promise} delete
+ * @property {(path: string) => Promise<Array<*>>} list Values of every key under `path/`.
+ * @property {(path: string) => Promise<{ key: string, value: * }[]>} entries Keys and values under `path/`.
+ * @property {(ops: { type: ('put'|'del'), key: string, value: * }[]) => Promise} batch
+ * @property {() => Promise} close
+ */
+
 /**
  * Index feed descriptors.
+ *
+ * IndexDBAdapter implementation over a hypertrie.
  */
 class IndexDB {
   /**
@@ -24,6 +41,7 @@ class IndexDB {
       get: pify(hypertrie.get.bind(hypertrie)),
       delete: pify(hypertrie.del.bind(hypertrie)),
       list: pify(hypertrie.list.bind(hypertrie)),
+      batch: pify(hypertrie.batch.bind(hypertrie)),
       close: pify(hypertrie.feed.close.bind(hypertrie.feed))
     };
   }
@@ -33,9 +51,14 @@ class IndexDB {
     return list.map(({ value }) => value);
   }
 
+  async entries (path) {
+    const list = await this._db.list(`${path}/`);
+    return list.map(({ key, value }) => ({ key, value }));
+  }
+
   async get (key) {
     const item = await this._db.get(key);
-    return item && item.value;
+    return item ? item.value : undefined;
   }
 
   async put (key, value) {
@@ -46,9 +69,38 @@ class IndexDB {
     return this._db.delete(key);
   }
 
+  /**
+   * @param {{ type: ('put'|'del'), key: string, value: * }[]} ops
+   */
+  async batch (ops) {
+    return this._db.batch(ops);
+  }
+
   async close () {
     return this._db.close();
   }
 }
 
+/**
+ * Copy the records of some namespaces from an IndexDB to another one.
+ *
+ * @param {IndexDBAdapter} source
+ * @param {IndexDBAdapter} target
+ * @param {Object} [options]
+ * @param {string[]} [options.namespaces=['@feedstore']]
+ * @returns {Promise<number>} Number of records copied.
+ */
+export async function migrateIndexDB (source, target, options = {}) {
+  const { namespaces = ['@feedstore'] } = options;
+
+  let count = 0;
+  for (const namespace of namespaces) {
+    const entries = await source.entries(namespace);
+    await target.batch(entries.map(({ key, value }) => ({ type: 'put', key, value })));
+    count += entries.length;
+  }
+
+  return count;
+}
+
 export default IndexDB;
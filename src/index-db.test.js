@@ -0,0 +1,80 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import hypertrie from 'hypertrie';
+import jsonBuffer from 'buffer-json-encoding';
+import { MemoryLevel } from 'memory-level';
+import ram from 'random-access-memory';
+
+import { FeedStore } from './feed-store';
+import IndexDB, { migrateIndexDB } from './index-db';
+import LevelIndexDB from './level-index-db';
+import MemoryIndexDB from './memory-index-db';
+import PrefixIndexDB from './prefix-index-db';
+
+const backends = [
+  ['hypertrie', () => new IndexDB(hypertrie(ram, { valueEncoding: jsonBuffer }))],
+  ['level', () => new LevelIndexDB(new MemoryLevel())],
+  ['memory', () => new MemoryIndexDB()],
+  ['prefix', () => new PrefixIndexDB(new MemoryIndexDB(), '@namespace/test')]
+];
+
+describe.each(backends)('IndexDB %s', (_, createIndexDB) => {
+  test('put, get, list and delete', async () => {
+    const db = createIndexDB();
+
+    await db.put('@test/a', { key: Buffer.from('a'), value: 1 });
+    await db.put('@test/b/c', { value: 2 });
+    await db.put('@test0', { value: 3 });
+
+    await expect(db.get('@test/a')).resolves.toEqual({ key: Buffer.from('a'), value: 1 });
+    await expect(db.get('@test/unknown')).resolves.toBeUndefined();
+
+    const values = await db.list('@test');
+    expect(values.map(({ value }) => value).sort()).toEqual([1, 2]);
+
+    const entries = await db.entries('@test');
+    expect(entries.map(({ key }) => key).sort()).toEqual(['@test/a', '@test/b/c']);
+
+    await db.batch([
+      { type: 'del', key: '@test/a' },
+      { type: 'put', key: '@test/d', value: { value: 4 } }
+    ]);
+    await db.delete('@test/b/c');
+    await expect(db.list('@test')).resolves.toEqual([{ value: 4 }]);
+
+    await db.close();
+  });
+
+  test('FeedStore with the backend', async () => {
+    const feedStore = await FeedStore.create(ram, { indexDB: createIndexDB });
+    const feed = await feedStore.openFeed('/books', { metadata: { topic: 'books' } });
+
+    await expect(feedStore._indexDB.list('@feedstore')).resolves.toMatchObject([
+      { path: '/books', key: feed.key, metadata: { topic: 'books' } }
+    ]);
+
+    await feedStore.close();
+  });
+});
+
+describe('migrateIndexDB', () => {
+  test('copy the descriptors to another backend', async () => {
+    const source = new IndexDB(hypertrie(ram, { valueEncoding: jsonBuffer }));
+    const target = new LevelIndexDB(new MemoryLevel());
+
+    const feedStore = await FeedStore.create(ram, { indexDB: source });
+    await feedStore.openFeed('/books');
+    await feedStore.openFeed('/users');
+    await source.put('@other/a', { value: 1 });
+
+    await expect(migrateIndexDB(source, target)).resolves.toBe(2);
+    const [sourceList, targetList] = await Promise.all([source.list('@feedstore'), target.list('@feedstore')]);
+    const byPath = (a, b) => a.path.localeCompare(b.path);
+    expect(targetList.sort(byPath)).toEqual(sourceList.sort(byPath));
+    await expect(target.get('@other/a')).resolves.toBeUndefined();
+
+    await feedStore.close();
+  });
+});
@@ -3,6 +3,26 @@
 //
 
 import createBatchStream from './create-batch-stream';
+import { generateContentKey, generateAccessKeyPair } from './encryption';
+import IndexDB, { migrateIndexDB } from './index-db';
+import { SYNC } from './iterator';
+import LevelIndexDB from './level-index-db';
+import MemoryIndexDB from './memory-index-db';
+import PrefixIndexDB from './prefix-index-db';
+import { generateSeed, deriveKeyPair } from './seed';
 export * from './feed-store';
 export * from './feed-descriptor';
-export { createBatchStream };
+export * from './keyring';
+export {
+  createBatchStream,
+  IndexDB,
+  LevelIndexDB,
+  MemoryIndexDB,
+  PrefixIndexDB,
+  migrateIndexDB,
+  SYNC,
+  generateSeed,
+  deriveKeyPair,
+  generateContentKey,
+  generateAccessKeyPair
+};
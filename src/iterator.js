@@ -0,0 +1,173 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import assert from 'assert';
+import eos from 'end-of-stream';
+
+import createBatchStream from './create-batch-stream';
+
+/**
+ * Sentinel yielded once the initial messages of every feed were iterated.
+ */
+export const SYNC = Symbol('sync');
+
+/**
+ * Iterate the messages of a stream created by `feedStore.createReadStream` or `feedStore.createOrderedStream`.
+ *
+ * The stream is destroyed when the iteration finishes.
+ *
+ * @param {ReadableStream} stream
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Aborting the signal destroys the stream and rejects the iteration with an `AbortError`.
+ * @param {(state: Object) => void} [options.onSync] Called with the last seq by feed key once the initial messages were iterated.
+ * @param {boolean} [options.syncSentinel=false] Yield `SYNC` once the initial messages were iterated.
+ * @returns {AsyncIterable<Object>}
+ */
+export async function * iterateStream (stream, options = {}) {
+  const { signal, onSync, syncSentinel = false } = options;
+
+  // The stream emits `sync` when the initial messages were read, they are yielded before reporting it.
+  let syncState = null;
+  const iterated = {};
+  const isSynced = () => syncState && Object.entries(syncState).every(([key, seq]) => iterated[key] >= seq);
+
+  let ended = false;
+  let error = null;
+  let wakeUp = () => {};
+
+  const onReadable = () => wakeUp();
+  const onStreamSync = state => {
+    syncState = { ...state };
+    wakeUp();
+  };
+  const onAbort = () => {
+    stream.destroy();
+    wakeUp();
+  };
+
+  stream.on('readable', onReadable);
+  stream.on('sync', onStreamSync);
+  if (signal) {
+    signal.addEventListener('abort', onAbort);
+  }
+
+  eos(stream, err => {
+    ended = true;
+    error = err;
+    wakeUp();
+  });
+
+  try {
+    while (true) {
+      if (signal && signal.aborted) {
+        throw createAbortError();
+      }
+
+      if (isSynced()) {
+        syncState = null;
+        if (onSync) {
+          onSync({ ...iterated });
+        }
+        if (syncSentinel) {
+          yield SYNC;
+        }
+        continue;
+      }
+
+      const message = stream.read();
+      if (message !== null) {
+        const last = Array.isArray(message) ? message[message.length - 1] : message;
+        iterated[last.key.toString('hex')] = last.seq;
+        yield message;
+        continue;
+      }
+
+      if (ended) {
+        if (error) {
+          throw error;
+        }
+        return;
+      }
+
+      await new Promise(resolve => {
+        wakeUp = resolve;
+      });
+      wakeUp = () => {};
+    }
+  } finally {
+    stream.removeListener('readable', onReadable);
+    stream.removeListener('sync', onStreamSync);
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    if (!ended) {
+      stream.destroy();
+    }
+  }
+}
+
+/**
+ * Iterate the messages of an opened feed.
+ *
+ * @param {FeedDescriptor} descriptor
+ * @param {Object} [options]
+ * @param {number} [options.start=0]
+ * @param {number} [options.end] Seq after the last message. Default: the length of the feed.
+ * @param {boolean} [options.reverse=false] Iterate from the end to the start.
+ * @param {boolean} [options.live=false] Wait for the new messages, not supported in reverse.
+ * @param {number} [options.batch=100] Number of blocks read in each iteration.
+ * @param {AbortSignal} [options.signal]
+ * @returns {AsyncIterable<Object>}
+ */
+export async function * iterateFeed (descriptor, options = {}) {
+  const { start = 0, end, reverse = false, live = false, batch = 100, signal } = options;
+  const { feed, path, metadata } = descriptor;
+
+  assert(!reverse || !live, 'live is not supported in reverse.');
+
+  const streamOptions = {
+    batch,
+    metadata: { path, metadata },
+    cleared: () => descriptor.cleared,
+    visibleLength: () => descriptor.visibleLength,
+    onVisible: listener => descriptor.onVisible(listener)
+  };
+
+  const readBatches = (start, end, live) => {
+    return iterateStream(createBatchStream(feed, { ...streamOptions, start, end, live }), { signal });
+  };
+
+  // Keeps the feed opened while it's iterated.
+  const unpin = descriptor.pin();
+
+  try {
+    if (!reverse) {
+      for await (const messages of readBatches(start, end, live)) {
+        yield * messages;
+      }
+      return;
+    }
+
+    let to = end === undefined ? feed.length : Math.min(end, feed.length);
+    while (to > Math.max(start, descriptor.cleared)) {
+      const from = Math.max(start, to - batch);
+
+      const messages = [];
+      for await (const batchMessages of readBatches(from, to, false)) {
+        messages.push(...batchMessages);
+      }
+
+      yield * messages.reverse();
+      to = from;
+    }
+  } finally {
+    unpin();
+  }
+}
+
+function createAbortError () {
+  const error = new Error('The iteration was aborted');
+  error.name = 'AbortError';
+  return error;
+}
@@ -0,0 +1,106 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import assert from 'assert';
+import sodium from 'sodium-universal';
+
+/**
+ * Keyring
+ *
+ * Seals secret keys with XSalsa20-Poly1305 (crypto_secretbox) using a master key.
+ *
+ * FeedStore accepts any object implementing `seal(buffer)` and `unseal(buffer)` (sync or async),
+ * this is the default implementation.
+ */
+export class Keyring {
+  /**
+   * Generate a random master key.
+   *
+   * @static
+   * @returns {Buffer}
+   */
+  static generateMasterKey () {
+    const masterKey = Buffer.alloc(sodium.crypto_secretbox_KEYBYTES);
+    sodium.randombytes_buf(masterKey);
+    return masterKey;
+  }
+
+  /**
+   * Create a Keyring with a master key derived from a passphrase.
+   *
+   * @static
+   * @param {string|Buffer} passphrase
+   * @param {Buffer} salt Buffer of size crypto_pwhash_SALTBYTES.
+   * @returns {Keyring}
+   */
+  static fromPassphrase (passphrase, salt) {
+    assert(passphrase && passphrase.length > 0, 'passphrase is required.');
+    assert(Buffer.isBuffer(salt) && salt.length === sodium.crypto_pwhash_SALTBYTES,
+      'salt must be a buffer of size crypto_pwhash_SALTBYTES.');
+
+    const masterKey = Buffer.alloc(sodium.crypto_secretbox_KEYBYTES);
+    sodium.crypto_pwhash(
+      masterKey,
+      Buffer.from(passphrase),
+      salt,
+      sodium.crypto_pwhash_OPSLIMIT_INTERACTIVE,
+      sodium.crypto_pwhash_MEMLIMIT_INTERACTIVE,
+      sodium.crypto_pwhash_ALG_DEFAULT
+    );
+
+    return new Keyring(masterKey);
+  }
+
+  /**
+   * constructor
+   *
+   * @param {Buffer} masterKey Buffer of size crypto_secretbox_KEYBYTES.
+   */
+  constructor (masterKey) {
+    assert(Buffer.isBuffer(masterKey) && masterKey.length === sodium.crypto_secretbox_KEYBYTES,
+      'masterKey must be a buffer of size crypto_secretbox_KEYBYTES.');
+
+    this._masterKey = masterKey;
+  }
+
+  /**
+   * Seal a buffer. The result contains the nonce followed by the ciphertext.
+   *
+   * @param {Buffer} data
+   * @returns {Buffer}
+   */
+  seal (data) {
+    const nonce = Buffer.alloc(sodium.crypto_secretbox_NONCEBYTES);
+    sodium.randombytes_buf(nonce);
+
+    const ciphertext = Buffer.alloc(data.length + sodium.crypto_secretbox_MACBYTES);
+    sodium.crypto_secretbox_easy(ciphertext, data, nonce, this._masterKey);
+
+    return Buffer.concat([nonce, ciphertext]);
+  }
+
+  /**
+   * Unseal a buffer created by `seal`.
+   *
+   * @param {Buffer} sealed
+   * @returns {Buffer}
+   */
+  unseal (sealed) {
+    const nonce = sealed.slice(0, sodium.crypto_secretbox_NONCEBYTES);
+    const ciphertext = sealed.slice(sodium.crypto_secretbox_NONCEBYTES);
+
+    if (ciphertext.length < sodium.crypto_secretbox_MACBYTES) {
+      throw new Error('Invalid sealed data');
+    }
+
+    const data = Buffer.alloc(ciphertext.length - sodium.crypto_secretbox_MACBYTES);
+    if (!sodium.crypto_secretbox_open_easy(data, ciphertext, nonce, this._masterKey)) {
+      throw new Error('Unable to unseal data, invalid master key');
+    }
+
+    return data;
+  }
+}
+
+export default Keyring;
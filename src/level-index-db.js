@@ -0,0 +1,74 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import assert from 'assert';
+import jsonBuffer from 'buffer-json-encoding';
+
+// Values are stored as buffers encoded with buffer-json-encoding.
+const OPTIONS = { valueEncoding: 'buffer' };
+
+/**
+ * IndexDBAdapter implementation over a LevelDB compatible database (abstract-level).
+ */
+export default class LevelIndexDB {
+  /**
+   * @constructor
+   * @param {AbstractLevel} db e.g. `new Level(location)` or `new MemoryLevel()`
+   */
+  constructor (db) {
+    assert(db && typeof db.iterator === 'function', 'db must implement abstract-level.');
+
+    this._db = db;
+  }
+
+  async list (path) {
+    const entries = await this.entries(path);
+    return entries.map(({ value }) => value);
+  }
+
+  async entries (path) {
+    const entries = [];
+
+    // '0' is the next character after '/'.
+    for await (const [key, value] of this._db.iterator({ ...OPTIONS, gte: `${path}/`, lt: `${path}0` })) {
+      entries.push({ key: key.toString(), value: jsonBuffer.decode(value) });
+    }
+
+    return entries;
+  }
+
+  async get (key) {
+    try {
+      const value = await this._db.get(key, OPTIONS);
+      return value && jsonBuffer.decode(value);
+    } catch (err) {
+      if (err.code === 'LEVEL_NOT_FOUND' || err.notFound) {
+        return undefined;
+      }
+      throw err;
+    }
+  }
+
+  async put (key, value) {
+    return this._db.put(key, jsonBuffer.encode(value), OPTIONS);
+  }
+
+  async delete (key) {
+    return this._db.del(key);
+  }
+
+  /**
+   * @param {{ type: ('put'|'del'), key: string, value: * }[]} ops
+   */
+  async batch (ops) {
+    return this._db.batch(ops.map(({ type, key, value }) => type === 'del'
+      ? { type, key }
+      : { type, key, value: jsonBuffer.encode(value) }
+    ), OPTIONS);
+  }
+
+  async close () {
+    return this._db.close();
+  }
+}
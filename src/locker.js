@@ -7,11 +7,30 @@ import mutexify from 'mutexify';
 class Locker {
   constructor () {
     this._lock = mutexify();
+    this._stats = { locks: 0, waiting: 0, totalWaitTime: 0, maxWaitTime: 0 };
+  }
+
+  /**
+   * Number of acquired and waiting locks and the time in milliseconds waited to acquire them.
+   *
+   * @type {{ locks: number, waiting: number, totalWaitTime: number, maxWaitTime: number }}
+   */
+  get stats () {
+    return { ...this._stats };
   }
 
   lock () {
+    const start = Date.now();
+    this._stats.waiting++;
+
     return new Promise((resolve) => {
       this._lock((cbRelease) => {
+        const waitTime = Date.now() - start;
+        this._stats.waiting--;
+        this._stats.locks++;
+        this._stats.totalWaitTime += waitTime;
+        this._stats.maxWaitTime = Math.max(this._stats.maxWaitTime, waitTime);
+
         const release = () => new Promise(resolve => cbRelease(resolve));
         resolve(release);
       });
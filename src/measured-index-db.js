@@ -0,0 +1,62 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import assert from 'assert';
+
+/**
+ * IndexDBAdapter view of another IndexDBAdapter that reports the duration of the writes.
+ *
+ * The underlying IndexDB is owned by its creator, closing the view doesn't close it.
+ */
+export default class MeasuredIndexDB {
+  /**
+   * constructor
+   *
+   * @param {IndexDBAdapter} indexDB
+   * @param {(duration: number) => void} onWrite Called after each put, delete or batch with its duration in milliseconds.
+   */
+  constructor (indexDB, onWrite) {
+    assert(indexDB, 'indexDB is required.');
+    assert(typeof onWrite === 'function', 'onWrite must be a function.');
+
+    this._indexDB = indexDB;
+    this._onWrite = onWrite;
+  }
+
+  async list (path) {
+    return this._indexDB.list(path);
+  }
+
+  async entries (path) {
+    return this._indexDB.entries(path);
+  }
+
+  async get (key) {
+    return this._indexDB.get(key);
+  }
+
+  async put (key, value) {
+    return this._measure(() => this._indexDB.put(key, value));
+  }
+
+  async delete (key) {
+    return this._measure(() => this._indexDB.delete(key));
+  }
+
+  /**
+   * @param {{ type: ('put'|'del'), key: string, value: * }[]} ops
+   */
+  async batch (ops) {
+    return this._measure(() => this._indexDB.batch(ops));
+  }
+
+  async close () {}
+
+  async _measure (write) {
+    const start = Date.now();
+    const result = await write();
+    this._onWrite(Date.now() - start);
+    return result;
+  }
+}
@@ -0,0 +1,57 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import jsonBuffer from 'buffer-json-encoding';
+
+/**
+ * IndexDBAdapter implementation over an in-memory map.
+ *
+ * Values are serialized to keep the stored records isolated from the objects of the caller.
+ */
+export default class MemoryIndexDB {
+  constructor () {
+    /** @type {Map<string, Buffer>} */
+    this._map = new Map();
+  }
+
+  async list (path) {
+    const entries = await this.entries(path);
+    return entries.map(({ value }) => value);
+  }
+
+  async entries (path) {
+    return Array.from(this._map.keys())
+      .filter(key => key.startsWith(`${path}/`))
+      .sort()
+      .map(key => ({ key, value: jsonBuffer.decode(this._map.get(key)) }));
+  }
+
+  async get (key) {
+    const value = this._map.get(key);
+    return value && jsonBuffer.decode(value);
+  }
+
+  async put (key, value) {
+    this._map.set(key, jsonBuffer.encode(value));
+  }
+
+  async delete (key) {
+    this._map.delete(key);
+  }
+
+  /**
+   * @param {{ type: ('put'|'del'), key: string, value: * }[]} ops
+   */
+  async batch (ops) {
+    for (const { type, key, value } of ops) {
+      if (type === 'del') {
+        this._map.delete(key);
+      } else {
+        this._map.set(key, jsonBuffer.encode(value));
+      }
+    }
+  }
+
+  async close () {}
+}
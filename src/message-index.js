@@ -0,0 +1,231 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import assert from 'assert';
+import pump from 'pump';
+import through from 'through2';
+
+const INDEX_NAMESPACE = '@index';
+const INDEX_STATE_NAMESPACE = '@index-state';
+
+/**
+ *
+ * @callback IndexMapCallback
+ * @param {Object} message Message with the block data, seq, key, path and metadata.
+ * @returns {(string|string[]|undefined|Promise<string|string[]|undefined>)} Index keys of the message.
+ */
+
+/**
+ * Secondary index over the feed messages persisted in the IndexDB.
+ *
+ * Entries are stored under `@index/<name>/<index key>/<feed key>/<seq>` and the
+ * processed state (version and last indexed seq by feed) under `@index-state/<name>`.
+ */
+export default class MessageIndex {
+  /**
+   * constructor
+   *
+   * @param {IndexDB} indexDB
+   * @param {string} name
+   * @param {IndexMapCallback} map
+   * @param {number} [version=0] Changing the version rebuilds the index.
+   */
+  constructor (indexDB, name, map, version = 0) {
+    assert(indexDB);
+    assert(name && typeof name === 'string' && !name.includes('/'), 'name is required and must not contain "/".');
+    assert(typeof map === 'function', 'map must be a function.');
+
+    this._indexDB = indexDB;
+    this._name = name;
+    this._map = map;
+    this._version = version;
+
+    this._checkpoint = {};
+    this._syncState = null;
+    this._writing = Promise.resolve();
+    this._stream = null;
+    this._error = null;
+
+    this._synced = new Promise(resolve => {
+      this._onSynced = resolve;
+    });
+  }
+
+  get name () {
+    return this._name;
+  }
+
+  /**
+   * Last indexed seq by feed key.
+   *
+   * @type {Object}
+   */
+  get checkpoint () {
+    return this._checkpoint;
+  }
+
+  /**
+   * Load the index state, clearing the index if the version changed.
+   *
+   * @returns {Promise<Object>} Checkpoint to continue indexing from.
+   */
+  async load () {
+    const state = await this._indexDB.get(this._stateKey());
+
+    if (state && state.version === this._version) {
+      this._checkpoint = state.checkpoint;
+      return this._checkpoint;
+    }
+
+    await this.clear();
+    return this._checkpoint;
+  }
+
+  /**
+   * Start indexing the messages of a live batch stream.
+   *
+   * @param {ReadableStream} stream Stream created by `FeedStore.createBatchStream`.
+   */
+  attach (stream) {
+    this._stream = stream;
+
+    stream.once('sync', state => {
+      this._syncState = state;
+      this._checkSynced();
+    });
+
+    const indexer = through.obj((messages, _, next) => {
+      this._writing = this._write(messages);
+      this._writing.then(() => next(), next);
+    });
+
+    pump(stream, indexer, err => {
+      if (err && this._stream) {
+        this._error = err;
+        this._onSynced();
+      }
+    });
+  }
+
+  /**
+   * Stop indexing and wait for the pending writes.
+   *
+   * @returns {Promise}
+   */
+  async close () {
+    if (this._stream) {
+      const stream = this._stream;
+      this._stream = null;
+      stream.destroy();
+    }
+
+    await this._writing.catch(() => {});
+  }
+
+  /**
+   * Wait until the messages available when the index was attached are indexed.
+   *
+   * @returns {Promise}
+   */
+  async ready () {
+    await this._synced;
+    await this._writing;
+
+    if (this._error) {
+      throw this._error;
+    }
+  }
+
+  /**
+   * Query the index.
+   *
+   * @param {string|Object} [range] Exact index key or range `{ gt, gte, lt, lte }` over the index keys.
+   * @returns {Promise<{ indexKey: string, key: Buffer, seq: number }[]>}
+   */
+  async query (range = {}) {
+    const entries = typeof range === 'string'
+      ? await this._indexDB.list(`${INDEX_NAMESPACE}/${this._name}/${encodeURIComponent(range)}`)
+      : (await this._indexDB.list(`${INDEX_NAMESPACE}/${this._name}`)).filter(({ indexKey }) => inRange(indexKey, range));
+
+    return entries.sort(compareEntries);
+  }
+
+  /**
+   * Remove every entry of the index and reset the checkpoint.
+   *
+   * @returns {Promise}
+   */
+  async clear () {
+    const entries = await this._indexDB.list(`${INDEX_NAMESPACE}/${this._name}`);
+
+    await this._indexDB.batch([
+      ...entries.map(entry => ({ type: 'del', key: this._entryKey(entry) })),
+      { type: 'put', key: this._stateKey(), value: { version: this._version, checkpoint: {} } }
+    ]);
+
+    this._checkpoint = {};
+  }
+
+  async _write (messages) {
+    const ops = [];
+
+    for (const message of messages) {
+      let indexKeys = await this._map(message);
+      if (indexKeys === undefined || indexKeys === null) {
+        indexKeys = [];
+      } else if (!Array.isArray(indexKeys)) {
+        indexKeys = [indexKeys];
+      }
+
+      for (const indexKey of new Set(indexKeys.map(String).filter(Boolean))) {
+        const entry = { indexKey, key: message.key, seq: message.seq };
+        ops.push({ type: 'put', key: this._entryKey(entry), value: entry });
+      }
+
+      this._checkpoint[message.key.toString('hex')] = message.seq;
+    }
+
+    ops.push({ type: 'put', key: this._stateKey(), value: { version: this._version, checkpoint: this._checkpoint } });
+
+    await this._indexDB.batch(ops);
+
+    this._checkSynced();
+  }
+
+  _checkSynced () {
+    if (!this._syncState) {
+      return;
+    }
+
+    const synced = Object.keys(this._syncState)
+      .every(feedKey => this._checkpoint[feedKey] !== undefined && this._checkpoint[feedKey] >= this._syncState[feedKey]);
+
+    if (synced) {
+      this._onSynced();
+    }
+  }
+
+  _entryKey ({ indexKey, key, seq }) {
+    return `${INDEX_NAMESPACE}/${this._name}/${encodeURIComponent(indexKey)}/${key.toString('hex')}/${seq}`;
+  }
+
+  _stateKey () {
+    return `${INDEX_STATE_NAMESPACE}/${this._name}`;
+  }
+}
+
+function inRange (value, { gt, gte, lt, lte }) {
+  return (gt === undefined || value > gt) &&
+    (gte === undefined || value >= gte) &&
+    (lt === undefined || value < lt) &&
+    (lte === undefined || value <= lte);
+}
+
+function compareEntries (a, b) {
+  if (a.indexKey !== b.indexKey) {
+    return a.indexKey < b.indexKey ? -1 : 1;
+  }
+
+  return Buffer.compare(a.key, b.key) || a.seq - b.seq;
+}
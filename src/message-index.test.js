@@ -0,0 +1,86 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import pify from 'pify';
+import tempy from 'tempy';
+import waitForExpect from 'wait-for-expect';
+
+import { FeedStore } from './feed-store';
+
+function append (feed, message) {
+  return pify(feed.append.bind(feed))(message);
+}
+
+describe('MessageIndex', () => {
+  test('define and query an index', async () => {
+    const root = tempy.directory();
+    let feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'json' } });
+
+    const books = await feedStore.openFeed('/books');
+    const users = await feedStore.openFeed('/users');
+
+    await append(books, { type: 'book', title: 'Foundation' });
+    await append(users, { type: 'user', name: 'alice' });
+    await append(books, { type: 'book', title: 'I, Robot' });
+
+    const byType = jest.fn(message => message.data.type);
+    await feedStore.defineIndex('type', byType);
+
+    let results = await feedStore.queryIndex('type', 'book');
+    expect(results.map(({ data }) => data.title)).toEqual(['Foundation', 'I, Robot']);
+    expect(results[0].key).toEqual(books.key);
+    expect(results[0].seq).toBe(0);
+
+    // New messages are indexed incrementally.
+    await append(users, { type: 'user', name: 'bob' });
+    await waitForExpect(async () => {
+      const results = await feedStore.queryIndex('type', 'user');
+      expect(results.map(({ data }) => data.name)).toEqual(['alice', 'bob']);
+    });
+
+    // Range queries.
+    results = await feedStore.queryIndex('type', { gte: 'a', lt: 'c' });
+    expect(results.length).toBe(2);
+    results = await feedStore.queryIndex('type');
+    expect(results.length).toBe(4);
+
+    await expect(feedStore.defineIndex('type', byType)).rejects.toThrow(/already defined/);
+    await expect(feedStore.queryIndex('foo')).rejects.toThrow(/Index not found/);
+
+    await feedStore.close();
+    expect(byType).toHaveBeenCalledTimes(4);
+
+    // The index continues from the last indexed message.
+    feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'json' } });
+    await feedStore.openFeeds(() => true);
+    byType.mockClear();
+    await feedStore.defineIndex('type', byType);
+    await expect(feedStore.queryIndex('type', 'user')).resolves.toHaveLength(2);
+    expect(byType).not.toHaveBeenCalled();
+    await feedStore.close();
+
+    // A new version rebuilds the index.
+    feedStore = await FeedStore.create(root, { feedOptions: { valueEncoding: 'json' } });
+    await feedStore.openFeeds(() => true);
+    await feedStore.defineIndex('type', message => message.data.title, { version: 1 });
+    results = await feedStore.queryIndex('type');
+    expect(results.map(({ indexKey }) => indexKey)).toEqual(['Foundation', 'I, Robot']);
+    await feedStore.close();
+  });
+
+  test('multiple keys by message', async () => {
+    const feedStore = await FeedStore.create(tempy.directory(), { feedOptions: { valueEncoding: 'json' } });
+
+    const feed = await feedStore.openFeed('/posts');
+    await append(feed, { tags: ['a/b', 'c'] });
+    await append(feed, { tags: ['c'] });
+    await append(feed, {});
+
+    await feedStore.defineIndex('tags', message => message.data.tags);
+
+    await expect(feedStore.queryIndex('tags', 'a/b')).resolves.toHaveLength(1);
+    await expect(feedStore.queryIndex('tags', 'c')).resolves.toHaveLength(2);
+    await feedStore.close();
+  });
+});
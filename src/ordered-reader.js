@@ -0,0 +1,318 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import assert from 'assert';
+import { Readable } from 'stream';
+import eos from 'end-of-stream';
+
+import createBatchStream from './create-batch-stream';
+
+const all = () => true;
+
+/**
+ * Creates a ReadableStream that merges the feed streams using a comparator.
+ *
+ * A message is only emitted when every feed with pending data has at least one buffered message,
+ * in live mode the feeds that already reached their length are not waited.
+ */
+export default class OrderedReader extends Readable {
+  /** @type {(a: Object, b: Object) => number} */
+  _compare;
+
+  /** @type {Map<string, { descriptor: FeedDescriptor, feed: Hypercore, stream: any, buffer: any[], next: number, live: boolean, ended: boolean }>} */
+  _feeds = new Map();
+
+  /** @type {Set<string>} */
+  _feedsToSync = new Set();
+
+  _initialState = {};
+
+  _state = {};
+
+  _initialized = false;
+
+  _wantData = false;
+
+  // A live stream waits for the feeds opened later.
+  _live = false;
+
+  /** @type {(descriptor: FeedDescriptor, count: number) => void} */
+  _readListener = null;
+
+  /** @type {Object<string, number>} */
+  _positions = {};
+
+  /**
+   * constructor
+   *
+   * @param {(a: Object, b: Object) => number} compare Comparator of messages.
+   * @param {StreamCallback|Object} [filter] Filter function to return options for each feed.createReadStream
+   * (returns `false` will ignore the feed) or default object options for each feed.createReadStream(options)
+   */
+  constructor (compare, filter = all) {
+    assert(typeof compare === 'function', 'compare must be a function.');
+    assert(typeof filter === 'function' || typeof filter === 'object');
+
+    super({ objectMode: true });
+
+    this._compare = compare;
+
+    if (typeof filter === 'function') {
+      this._filter = filter;
+      this._options = {};
+    } else {
+      this._filter = all;
+      this._options = filter;
+    }
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  sync () {
+    return this._feedsToSync.size === 0;
+  }
+
+  /**
+   * @returns {Object} Last emitted seq by feed key.
+   */
+  state () {
+    return this._state;
+  }
+
+  /**
+   * Seq of the next message to emit by feed key.
+   *
+   * @type {Object<string, number>}
+   */
+  get positions () {
+    return this._positions;
+  }
+
+  /**
+   * Listen for the messages read from each feed.
+   *
+   * @param {(descriptor: FeedDescriptor, count: number) => void} listener
+   */
+  onRead (listener) {
+    this._readListener = listener;
+  }
+
+  /**
+   * Execute a callback on end of the stream.
+   *
+   * @param {function} [callback]
+   */
+  onEnd (callback) {
+    eos(this, (err) => {
+      callback(err);
+    });
+  }
+
+  async addInitialFeedStreams (descriptors) {
+    const validFeeds = await Promise.all(descriptors.map(async descriptor => {
+      const streamOptions = await this._getFeedStreamOptions(descriptor);
+      if (!streamOptions) return null;
+
+      const feedKey = descriptor.key.toString('hex');
+      const start = streamOptions.start || 0;
+
+      this._state[feedKey] = start > 0 ? start - 1 : 0;
+
+      // feeds to sync
+      if (descriptor.feed.length > start) {
+        this._feedsToSync.add(feedKey);
+        this._initialState[feedKey] = this._state[feedKey];
+      }
+
+      return { descriptor, streamOptions };
+    }));
+
+    validFeeds.filter(Boolean).forEach(({ descriptor, streamOptions }) => {
+      this._addFeedStream(descriptor, streamOptions);
+    });
+
+    this._initialized = true;
+
+    // empty feedsToSync
+    if (this.sync()) {
+      this.emit('sync', this._initialState);
+    }
+
+    this._pump();
+  }
+
+  /**
+   * Adds a feed stream and stream the block data, seq, key and metadata.
+   *
+   * @param {FeedDescriptor} descriptor
+   */
+  async addFeedStream (descriptor) {
+    let streamOptions = await this._getFeedStreamOptions(descriptor);
+    if (!streamOptions) {
+      return false;
+    }
+
+    // A reopened feed continues after the messages already buffered.
+    const feedKey = descriptor.key.toString('hex');
+    const previous = this._feeds.get(feedKey);
+    const next = previous ? previous.next : this._state[feedKey] && this._state[feedKey] + 1;
+    if (streamOptions.live && next) {
+      streamOptions = {
+        ...streamOptions,
+        start: next,
+        end: streamOptions.end && streamOptions.end >= next - 1 ? streamOptions.end : undefined
+      };
+    }
+
+    this._addFeedStream(descriptor, streamOptions);
+    this._pump();
+
+    return true;
+  }
+
+  _read () {
+    this._wantData = true;
+    this._pump();
+  }
+
+  _destroy (err, cb) {
+    for (const { stream } of this._feeds.values()) {
+      stream.destroy();
+    }
+    this._feeds.clear();
+    cb(err);
+  }
+
+  async _getFeedStreamOptions (descriptor) {
+    const { feed } = descriptor;
+
+    const entry = feed && this._feeds.get(feed.key.toString('hex'));
+    if (!feed || (entry && entry.feed === feed) || this.destroyed) {
+      return false;
+    }
+
+    const streamOptions = await this._filter(descriptor);
+    if (!streamOptions) {
+      return false;
+    }
+
+    if (typeof streamOptions === 'object') {
+      return { ...this._options, ...streamOptions };
+    }
+
+    return { ...this._options };
+  }
+
+  _addFeedStream (descriptor, streamOptions) {
+    const { feed, path, metadata } = descriptor;
+    const feedKey = feed.key.toString('hex');
+
+    const stream = createBatchStream(feed, {
+      ...streamOptions,
+      metadata: { path, metadata },
+      cleared: () => descriptor.cleared,
+      visibleLength: () => descriptor.visibleLength,
+      onVisible: listener => descriptor.onVisible(listener)
+    });
+    const previous = this._feeds.get(feedKey);
+
+    if (this._positions[feedKey] === undefined) {
+      this._positions[feedKey] = streamOptions.start || 0;
+    }
+
+    if (streamOptions.live) {
+      this._live = true;
+    }
+
+    const entry = {
+      descriptor,
+      feed,
+      stream,
+      buffer: previous ? previous.buffer : [],
+      next: streamOptions.start || 0,
+      live: !!streamOptions.live,
+      ended: false
+    };
+
+    stream.on('readable', () => this._pump());
+
+    const unpin = descriptor.pin();
+    eos(stream, () => {
+      unpin();
+      entry.ended = true;
+      if (this._feeds.get(feedKey) === entry) {
+        this._pump();
+      }
+    });
+
+    this._feeds.set(feedKey, entry);
+  }
+
+  /**
+   * Emit the buffered messages in order while there is demand.
+   */
+  _pump () {
+    while (this._wantData && !this.destroyed) {
+      let waiting = false;
+      let candidate = null;
+
+      for (const [feedKey, entry] of this._feeds) {
+        if (entry.buffer.length === 0 && !entry.ended) {
+          const messages = entry.stream.read();
+          if (messages) {
+            entry.buffer.push(...messages);
+            entry.next = messages[messages.length - 1].seq + 1;
+          }
+        }
+
+        if (entry.buffer.length === 0) {
+          if (entry.ended) {
+            this._feeds.delete(feedKey);
+          } else if (!entry.live || entry.next < entry.feed.length) {
+            waiting = true;
+          }
+          continue;
+        }
+
+        if (!candidate || this._compare(entry.buffer[0], candidate.buffer[0]) < 0) {
+          candidate = entry;
+        }
+      }
+
+      if (waiting) {
+        return;
+      }
+
+      if (!candidate) {
+        if (this._initialized && this._feeds.size === 0 && !this._live && !this._options.live) {
+          this.push(null);
+          this._wantData = false;
+        }
+        return;
+      }
+
+      const message = candidate.buffer.shift();
+      if (this._readListener) {
+        this._readListener(candidate.descriptor, 1);
+      }
+      this._checkFeedSync(message);
+      this._wantData = this.push(message);
+    }
+  }
+
+  _checkFeedSync ({ key, seq, sync }) {
+    const feedKey = key.toString('hex');
+    this._state[feedKey] = seq;
+    this._positions[feedKey] = seq + 1;
+    if (this.sync()) return;
+    if (sync && this._feedsToSync.has(feedKey)) {
+      this._initialState[feedKey] = seq;
+      this._feedsToSync.delete(feedKey);
+      if (this.sync()) {
+        this.emit('sync', this._initialState);
+      }
+    }
+  }
+}
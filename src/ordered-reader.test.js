@@ -0,0 +1,150 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import pify from 'pify';
+import ram from 'random-access-memory';
+import eos from 'end-of-stream-promise';
+import waitForExpect from 'wait-for-expect';
+
+import { FeedStore } from './feed-store';
+
+function append (feed, message) {
+  return pify(feed.append.bind(feed))(message);
+}
+
+const byTimestamp = (a, b) => a.data.timestamp - b.data.timestamp;
+
+async function generateStreamData (feedStore, maxMessages = 50) {
+  const feeds = await Promise.all([
+    feedStore.openFeed('/feed1'),
+    feedStore.openFeed('/feed2'),
+    feedStore.openFeed('/feed3')
+  ]);
+
+  // Each feed is ordered but the timestamps are interleaved between feeds.
+  for (let i = 0; i < maxMessages; i++) {
+    for (let j = 0; j < feeds.length; j++) {
+      await append(feeds[j], { timestamp: i * feeds.length + ((i + j) % feeds.length) });
+    }
+  }
+
+  return feeds;
+}
+
+describe('OrderedReader', () => {
+  test('merge feeds by comparator', async () => {
+    const feedStore = await FeedStore.create(ram, { feedOptions: { valueEncoding: 'json' } });
+
+    const MESSAGE_COUNT = 50;
+
+    const [feed1, feed2, feed3] = await generateStreamData(feedStore, MESSAGE_COUNT);
+
+    const onSync = jest.fn();
+    const messages = [];
+    const stream = feedStore.createOrderedStream(byTimestamp, { batch: 7 });
+    stream.on('data', message => messages.push(message));
+    stream.on('sync', onSync);
+    await eos(stream);
+
+    expect(messages.length).toBe(MESSAGE_COUNT * 3);
+    expect(messages.map(m => m.data.timestamp)).toEqual([...Array(MESSAGE_COUNT * 3).keys()]);
+    expect(messages[0]).toHaveProperty('path');
+
+    const state = {
+      [feed1.key.toString('hex')]: MESSAGE_COUNT - 1,
+      [feed2.key.toString('hex')]: MESSAGE_COUNT - 1,
+      [feed3.key.toString('hex')]: MESSAGE_COUNT - 1
+    };
+    expect(onSync).toHaveBeenCalledTimes(1);
+    expect(onSync).toHaveBeenCalledWith(state);
+    expect(stream.state()).toEqual(state);
+  });
+
+  test('filter feeds', async () => {
+    const feedStore = await FeedStore.create(ram, { feedOptions: { valueEncoding: 'json' } });
+
+    await generateStreamData(feedStore, 10);
+
+    const messages = [];
+    const stream = feedStore.createOrderedStream(byTimestamp, descriptor => descriptor.path !== '/feed2');
+    stream.on('data', message => messages.push(message));
+    await eos(stream);
+
+    expect(messages.length).toBe(20);
+    expect(messages.every(m => m.path !== '/feed2')).toBe(true);
+    expect(messages.map(m => m.data.timestamp)).toEqual(messages.map(m => m.data.timestamp).sort((a, b) => a - b));
+  });
+
+  test('live mode', async () => {
+    const feedStore = await FeedStore.create(ram, { feedOptions: { valueEncoding: 'json' } });
+
+    const [feed1, feed2] = await generateStreamData(feedStore, 10);
+
+    const onSync = jest.fn();
+    const messages = [];
+    const stream = feedStore.createOrderedStream(byTimestamp, { live: true });
+    stream.on('data', message => messages.push(message));
+    stream.on('sync', onSync);
+
+    await waitForExpect(() => expect(messages.length).toBe(30));
+    expect(onSync).toHaveBeenCalledTimes(1);
+    expect(messages.map(m => m.data.timestamp)).toEqual([...Array(30).keys()]);
+
+    await append(feed2, { timestamp: 100 });
+    await append(feed1, { timestamp: 101 });
+
+    const feed4 = await feedStore.openFeed('/feed4');
+    await append(feed4, { timestamp: 102 });
+
+    await waitForExpect(() => expect(messages.length).toBe(33));
+    expect(messages.slice(30).map(m => m.data.timestamp)).toEqual([100, 101, 102]);
+    expect(stream.state()[feed4.key.toString('hex')]).toBe(0);
+    expect(stream.state()[feed2.key.toString('hex')]).toBe(10);
+
+    stream.destroy();
+    await feedStore.close();
+  });
+
+  test('live mode waits for the feeds opened later', async () => {
+    const feedStore = await FeedStore.create(ram, { feedOptions: { valueEncoding: 'json' } });
+
+    const onEnd = jest.fn();
+    const messages = [];
+    const stream = feedStore.createOrderedStream(byTimestamp, { live: true });
+    stream.on('data', message => messages.push(message));
+    stream.on('end', onEnd);
+
+    const feed = await feedStore.openFeed('/feed1');
+    await append(feed, { timestamp: 0 });
+    await waitForExpect(() => expect(messages.length).toBe(1));
+
+    // The stream continues after the only feed is closed and reopened.
+    await feedStore.closeFeed('/feed1');
+    const reopened = await feedStore.openFeed('/feed1');
+    await append(reopened, { timestamp: 1 });
+    await waitForExpect(() => expect(messages.map(m => m.data.timestamp)).toEqual([0, 1]));
+    expect(onEnd).not.toHaveBeenCalled();
+
+    stream.destroy();
+    await feedStore.close();
+  });
+
+  test('live mode from the end of the feeds', async () => {
+    const feedStore = await FeedStore.create(ram, { feedOptions: { valueEncoding: 'json' } });
+    const [feed1] = await generateStreamData(feedStore, 2);
+
+    const onSync = jest.fn();
+    const messages = [];
+    const stream = feedStore.createOrderedStream(byTimestamp, { live: true, start: feed1.length });
+    stream.on('data', message => messages.push(message));
+    stream.on('sync', onSync);
+
+    await waitForExpect(() => expect(onSync).toHaveBeenCalledTimes(1));
+    await append(feed1, { timestamp: 100 });
+    await waitForExpect(() => expect(messages.map(m => m.data.timestamp)).toEqual([100]));
+
+    stream.destroy();
+    await feedStore.close();
+  });
+});
@@ -0,0 +1,60 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import assert from 'assert';
+
+/**
+ * IndexDBAdapter view of the records of another IndexDBAdapter under a key prefix.
+ *
+ * The underlying IndexDB is owned by its creator, closing the view doesn't close it.
+ */
+export default class PrefixIndexDB {
+  /**
+   * constructor
+   *
+   * @param {IndexDBAdapter} indexDB
+   * @param {string} prefix
+   */
+  constructor (indexDB, prefix) {
+    assert(indexDB, 'indexDB is required.');
+    assert(prefix && typeof prefix === 'string', 'prefix is required and must be a valid string.');
+
+    this._indexDB = indexDB;
+    this._prefix = prefix;
+  }
+
+  async list (path) {
+    return this._indexDB.list(this._key(path));
+  }
+
+  async entries (path) {
+    const entries = await this._indexDB.entries(this._key(path));
+    return entries.map(({ key, value }) => ({ key: key.slice(this._prefix.length + 1), value }));
+  }
+
+  async get (key) {
+    return this._indexDB.get(this._key(key));
+  }
+
+  async put (key, value) {
+    return this._indexDB.put(this._key(key), value);
+  }
+
+  async delete (key) {
+    return this._indexDB.delete(this._key(key));
+  }
+
+  /**
+   * @param {{ type: ('put'|'del'), key: string, value: * }[]} ops
+   */
+  async batch (ops) {
+    return this._indexDB.batch(ops.map(op => ({ ...op, key: this._key(op.key) })));
+  }
+
+  async close () {}
+
+  _key (key) {
+    return `${this._prefix}/${key}`;
+  }
+}
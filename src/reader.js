@@ -21,16 +21,19 @@ export default class Reader {
    *
    * @param {StreamCallback|Object} [callback] Filter function to return options for each feed.createReadStream
    * (returns `false` will ignore the feed) or default object options for each feed.createReadStream(options)
+   * @param {boolean} [inBatch=false]
+   * @param {Object|Promise<Object>} [checkpoint] Last read seq by feed key, each feed starts reading at seq + 1.
    */
-  constructor (filter, inBatch = false) {
+  constructor (filter, inBatch = false, checkpoint = {}) {
     assert(typeof filter === 'function' || typeof filter === 'object');
 
     if (typeof filter === 'function') {
       this._filter = filter;
       this._options = {};
     } else {
+      const { checkpoint, consumer, ...options } = filter;
       this._filter = all;
-      this._options = filter;
+      this._options = options;
     }
 
     this._inBatch = inBatch;
@@ -38,10 +41,30 @@ export default class Reader {
     this._stream.sync = () => this.sync;
     this._stream.state = () => this._state;
 
+    // The checkpoint moves when the messages reach the consumer, every delivered chunk is emitted as `data`
+    // both in flowing mode and by `read()`.
+    const emit = this._stream.emit.bind(this._stream);
+    this._stream.emit = (event, ...args) => {
+      const result = emit(event, ...args);
+      if (event === 'data') {
+        this._consume(args[0]);
+      }
+      return result;
+    };
+
     this._feeds = new Set();
     this._feedsToSync = new Set();
     this._initialState = {};
     this._state = {};
+
+    this._checkpoint = Promise.resolve(checkpoint).then(checkpoint => ({ ...checkpoint }));
+    // Errors loading the checkpoint are reported when the feed streams are added.
+    this._checkpoint.catch(() => {});
+    this._checkpointListener = null;
+    this._readListener = null;
+
+    /** @type {Object<string, number>} */
+    this._positions = {};
   }
 
   /**
@@ -59,6 +82,33 @@ export default class Reader {
     return this._state;
   }
 
+  /**
+   * Seq of the next message to read by feed key.
+   *
+   * @type {Object<string, number>}
+   */
+  get positions () {
+    return this._positions;
+  }
+
+  /**
+   * Listen for changes of the read checkpoint.
+   *
+   * @param {function} listener
+   */
+  onCheckpoint (listener) {
+    this._checkpointListener = listener;
+  }
+
+  /**
+   * Listen for the messages read from each feed.
+   *
+   * @param {(descriptor: FeedDescriptor, count: number) => void} listener
+   */
+  onRead (listener) {
+    this._readListener = listener;
+  }
+
   /**
    * Destroy stream.
    *
@@ -76,13 +126,14 @@ export default class Reader {
       if (!streamOptions) return null;
 
       const feedKey = descriptor.key.toString('hex');
+      const start = streamOptions.start || 0;
 
-      this._state[feedKey] = 0;
+      this._state[feedKey] = start > 0 ? start - 1 : 0;
 
       // feeds to sync
-      if (descriptor.feed.length > 0) {
+      if (descriptor.feed.length > start) {
         this._feedsToSync.add(feedKey);
-        this._initialState[feedKey] = 0;
+        this._initialState[feedKey] = this._state[feedKey];
       }
 
       return { descriptor, streamOptions };
@@ -137,6 +188,7 @@ export default class Reader {
   _checkFeedSync (feed, seq, sync) {
     const feedKey = feed.key.toString('hex');
     this._state[feedKey] = seq;
+    this._positions[feedKey] = seq + 1;
     if (this.sync) return;
     if (sync && this._feedsToSync.has(feedKey)) {
       this._initialState[feedKey] = seq;
@@ -154,41 +206,113 @@ export default class Reader {
       return false;
     }
 
-    const streamOptions = await this._filter(descriptor);
+    const [streamOptions, checkpoint] = await Promise.all([this._filter(descriptor), this._checkpoint]);
     if (!streamOptions) {
       return false;
     }
 
-    if (typeof streamOptions === 'object') {
-      return { ...this._options, ...streamOptions };
+    const options = typeof streamOptions === 'object' ? { ...this._options, ...streamOptions } : { ...this._options };
+
+    const seq = checkpoint[descriptor.key.toString('hex')];
+    if (options.start === undefined && seq !== undefined) {
+      options.start = seq + 1;
+    }
+
+    return options;
+  }
+
+  /**
+   * Update the checkpoint with the messages received by the consumer.
+   *
+   * @param {Object|Object[]} data
+   */
+  _consume (data) {
+    const last = {};
+    for (const { key, seq } of Array.isArray(data) ? data : [data]) {
+      last[key.toString('hex')] = seq;
+    }
+
+    Object.entries(last).forEach(([feedKey, seq]) => this._updateCheckpoint(feedKey, seq));
+  }
+
+  async _updateCheckpoint (feedKey, seq) {
+    const checkpoint = await this._checkpoint;
+    checkpoint[feedKey] = seq;
+    if (this._checkpointListener) {
+      this._checkpointListener(checkpoint);
     }
+  }
 
-    return { ...this._options };
+  /**
+   * Validate the messages against the schema of the feed.
+   *
+   * Invalid messages are reported with an `invalid` event and removed if the mode is `skip`.
+   *
+   * @param {FeedDescriptor} descriptor
+   * @param {Object[]} messages
+   * @param {string} [mode] `report` or `skip`.
+   * @returns {Object[]}
+   */
+  _validate (descriptor, messages, mode) {
+    if (!mode || !descriptor.schema) {
+      return messages;
+    }
+
+    return messages.filter(message => {
+      const error = descriptor.validate(message.data);
+      if (!error) {
+        return true;
+      }
+
+      this._stream.emit('invalid', message, error);
+      return mode !== 'skip';
+    });
   }
 
   _addFeedStream (descriptor, streamOptions) {
     const { feed, path, metadata } = descriptor;
+    const { validate } = streamOptions;
+
+    assert(!validate || ['report', 'skip'].includes(validate), 'validate must be "report" or "skip".');
+
+    const feedKey = feed.key.toString('hex');
+    if (this._positions[feedKey] === undefined) {
+      this._positions[feedKey] = streamOptions.start || 0;
+    }
 
     streamOptions.metadata = { path, metadata };
+    streamOptions.cleared = () => descriptor.cleared;
+    streamOptions.visibleLength = () => descriptor.visibleLength;
+    streamOptions.onVisible = listener => descriptor.onVisible(listener);
+
+    const transform = through.obj((batch, _, next) => {
+      const messages = this._validate(descriptor, batch, validate);
+
+      if (this._readListener && messages.length > 0) {
+        this._readListener(descriptor, messages.length);
+      }
 
-    const transform = through.obj((messages, _, next) => {
       if (this._inBatch) {
-        transform.push(messages);
+        if (messages.length > 0) {
+          transform.push(messages);
+        }
       } else {
         for (const message of messages) {
           transform.push(message);
         }
       }
 
-      const last = messages[messages.length - 1];
+      const last = batch[batch.length - 1];
       this._checkFeedSync(feed, last.seq, last.sync);
       next();
     });
 
     const stream = pump(createBatchStream(feed, streamOptions), transform);
 
+    const unpin = descriptor.pin();
     eos(stream, () => {
       this._feeds.delete(feed);
+      unpin();
     });
 
     this._stream.add(stream);
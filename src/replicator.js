@@ -0,0 +1,160 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import assert from 'assert';
+import protocol from 'hypercore-protocol';
+import eos from 'end-of-stream';
+
+const all = () => true;
+
+/**
+ *
+ * @callback AuthorizeCallback
+ * @param {Buffer} discoveryKey Discovery key of a feed requested by the remote peer.
+ * @returns {Promise<({ path: string, key: Buffer }|undefined)>} Options to open the feed or `undefined` to ignore it.
+ */
+
+/**
+ * Replicates the feeds of a FeedStore using a single protocol stream.
+ */
+export default class Replicator {
+  /**
+   * constructor
+   *
+   * @param {FeedStore} feedStore
+   * @param {Object} [options]
+   * @param {Buffer} [options.key] Key of the first channel used for the handshake and the encryption of the stream.
+   * Without a key the stream is not encrypted.
+   * @param {DescriptorCallback} [options.filter] Defines which feeds are replicated.
+   * @param {AuthorizeCallback} [options.authorize] Allows to open feeds requested by the remote peer that are unknown by the FeedStore.
+   * @param {boolean} [options.live=true]
+   */
+  constructor (feedStore, options = {}) {
+    const { key, filter = all, authorize, live = true, ...protocolOptions } = options;
+
+    assert(!key || Buffer.isBuffer(key), 'key must be a buffer.');
+    assert(typeof filter === 'function', 'filter must be a function.');
+    assert(!authorize || typeof authorize === 'function', 'authorize must be a function.');
+
+    this._feedStore = feedStore;
+    this._filter = filter;
+    this._authorize = authorize;
+    this._live = live;
+    this._replicated = new Set();
+
+    this._stream = protocol({ ...protocolOptions, live, encrypt: !!key });
+
+    if (key) {
+      this._stream.feed(key);
+    }
+
+    this._stream.on('feed', discoveryKey => {
+      this._onRemoteFeed(discoveryKey).catch(err => this.destroy(err));
+    });
+
+    const onFeed = (_, descriptor) => {
+      if (this._filter(descriptor)) {
+        this._replicate(descriptor);
+      }
+    };
+
+    feedStore.on('feed', onFeed);
+
+    eos(this._stream, () => {
+      feedStore.removeListener('feed', onFeed);
+    });
+  }
+
+  /**
+   * @type {DuplexStream}
+   */
+  get stream () {
+    return this._stream;
+  }
+
+  /**
+   * Execute a callback on end of the stream.
+   *
+   * @param {function} [callback]
+   */
+  onEnd (callback) {
+    eos(this._stream, (err) => {
+      callback(err);
+    });
+  }
+
+  /**
+   * Destroy stream.
+   *
+   * @param {Error} [err] Optional error object.
+   */
+  destroy (err) {
+    process.nextTick(() => {
+      this._stream.destroy(err);
+    });
+  }
+
+  /**
+   * Replicate the opened feeds.
+   *
+   * @param {FeedDescriptor[]} descriptors
+   */
+  addInitialFeeds (descriptors) {
+    descriptors
+      .filter(descriptor => this._filter(descriptor))
+      .forEach(descriptor => this._replicate(descriptor));
+  }
+
+  async _onRemoteFeed (discoveryKey) {
+    if (this._stream.destroyed || this._replicated.has(discoveryKey.toString('hex'))) {
+      return;
+    }
+
+    const descriptor = this._feedStore.getDescriptorByDiscoveryKey(discoveryKey);
+
+    if (descriptor) {
+      if (this._filter(descriptor)) {
+        await descriptor.open();
+        this._replicate(descriptor);
+      }
+      return;
+    }
+
+    if (!this._authorize) {
+      return;
+    }
+
+    const feedOptions = await this._authorize(discoveryKey);
+    if (!feedOptions || this._stream.destroyed) {
+      return;
+    }
+
+    const { path, ...options } = feedOptions;
+    await this._feedStore.openFeed(path, options);
+
+    const newDescriptor = this._feedStore.getDescriptorByDiscoveryKey(discoveryKey);
+    if (!newDescriptor) {
+      throw new Error(`Authorized feed "${path}" doesn't match the discovery key "${discoveryKey.toString('hex')}"`);
+    }
+
+    this._replicate(newDescriptor);
+  }
+
+  _replicate (descriptor) {
+    const discoveryKey = descriptor.discoveryKey.toString('hex');
+
+    if (!descriptor.opened || this._stream.destroyed || this._replicated.has(discoveryKey)) {
+      return;
+    }
+
+    this._replicated.add(discoveryKey);
+
+    const { feed } = descriptor;
+    feed.replicate({ live: this._live, stream: this._stream });
+
+    feed.once('close', () => {
+      this._replicated.delete(discoveryKey);
+    });
+  }
+}
@@ -0,0 +1,74 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import pify from 'pify';
+import pump from 'pump';
+import ram from 'random-access-memory';
+import crypto from 'hypercore-crypto';
+import waitForExpect from 'wait-for-expect';
+
+import { FeedStore } from './feed-store';
+
+function append (feed, message) {
+  return pify(feed.append.bind(feed))(message);
+}
+
+function head (feed) {
+  return pify(feed.head.bind(feed))();
+}
+
+describe('Replicator', () => {
+  test('replicate opened and new feeds', async () => {
+    const feedStoreA = await FeedStore.create(ram, { feedOptions: { valueEncoding: 'utf-8' } });
+    const feedStoreB = await FeedStore.create(ram, { feedOptions: { valueEncoding: 'utf-8' } });
+
+    const { publicKey: topic } = crypto.keyPair();
+
+    const feedA = await feedStoreA.openFeed('/a');
+    await append(feedA, 'a0');
+
+    // B knows about /a but the feed is closed.
+    await feedStoreB.openFeed('/a', { key: feedA.key });
+    await feedStoreB.closeFeed('/a');
+
+    const keys = new Map();
+    const authorize = jest.fn(async discoveryKey => {
+      const key = keys.get(discoveryKey.toString('hex'));
+      return key && { path: '/c', key };
+    });
+
+    const streamA = feedStoreA.replicate({ key: topic });
+    const streamB = feedStoreB.replicate({ key: topic, authorize });
+    pump(streamA, streamB, streamA);
+
+    await waitForExpect(async () => {
+      const [feed] = feedStoreB.getOpenFeeds(fd => fd.path === '/a');
+      expect(feed).toBeDefined();
+      expect(feed.length).toBe(1);
+      await expect(head(feed)).resolves.toBe('a0');
+    });
+
+    // Feeds opened later are replicated through the same stream.
+    const { publicKey, secretKey } = crypto.keyPair();
+    keys.set(crypto.discoveryKey(publicKey).toString('hex'), publicKey);
+    const feedC = await feedStoreA.openFeed('/c', { key: publicKey, secretKey });
+    await append(feedC, 'c0');
+
+    await waitForExpect(async () => {
+      const [feed] = feedStoreB.getOpenFeeds(fd => fd.path === '/c');
+      expect(feed).toBeDefined();
+      expect(feed.length).toBe(1);
+    });
+    expect(authorize).toHaveBeenCalledWith(feedC.discoveryKey);
+
+    // Unknown feeds not authorized are ignored.
+    const feedD = await feedStoreA.openFeed('/d');
+    await append(feedD, 'd0');
+    await waitForExpect(() => expect(authorize).toHaveBeenCalledWith(feedD.discoveryKey));
+    expect(feedStoreB.getDescriptors().map(fd => fd.path)).toEqual(['/a', '/c']);
+
+    await feedStoreA.close();
+    await feedStoreB.close();
+  });
+});
@@ -0,0 +1,95 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import assert from 'assert';
+import pify from 'pify';
+
+/**
+ * Retention policy of a feed. The last block of a feed is always retained.
+ *
+ * @typedef {Object} RetentionPolicy
+ * @property {number} [maxBlocks] Max number of blocks to retain.
+ * @property {number} [maxBytes] Max number of bytes to retain.
+ * @property {number} [maxAge] Max age in milliseconds of the blocks to retain, requires a timestamp extractor.
+ */
+
+/**
+ * Validate a retention policy.
+ *
+ * @param {RetentionPolicy} [policy]
+ */
+export function validateRetention (policy) {
+  if (!policy) {
+    return;
+  }
+
+  assert(typeof policy === 'object', 'retention must be an object.');
+  for (const field of ['maxBlocks', 'maxBytes', 'maxAge']) {
+    assert(policy[field] === undefined || (Number.isInteger(policy[field]) && policy[field] >= 0),
+      `retention.${field} must be a positive integer.`);
+  }
+}
+
+/**
+ * Validate that the `maxAge` of a retention policy can be applied, it requires a timestamp extractor.
+ *
+ * @param {RetentionPolicy} [policy]
+ * @param {function} [timestamp]
+ */
+export function validateMaxAge (policy, timestamp) {
+  assert(!policy || policy.maxAge === undefined || typeof timestamp === 'function',
+    'retention.maxAge requires the retention.timestamp option of the FeedStore.');
+}
+
+/**
+ * Clear the blocks of an opened feed that exceed the retention policy.
+ *
+ * @param {FeedDescriptor} descriptor
+ * @param {Object} [options]
+ * @param {function} [options.timestamp] Returns the timestamp of a block data, required by `maxAge`.
+ * @param {number} [options.now]
+ * @returns {Promise<number>} Number of leading blocks cleared.
+ */
+export async function applyRetention (descriptor, options = {}) {
+  const { timestamp, now = Date.now() } = options;
+  const { feed, retention = {}, cleared } = descriptor;
+  const { maxBlocks, maxBytes, maxAge } = retention;
+
+  // The last block is always retained.
+  const limit = feed.length - 1;
+  if (limit <= cleared) {
+    return cleared;
+  }
+
+  let start = cleared;
+
+  if (maxBlocks !== undefined) {
+    start = Math.max(start, feed.length - maxBlocks);
+  }
+
+  if (maxBytes !== undefined && feed.byteLength > maxBytes) {
+    const [index, offset] = await new Promise((resolve, reject) => {
+      feed.seek(feed.byteLength - maxBytes, { wait: false }, (err, index, offset) => {
+        if (err) return reject(err);
+        resolve([index, offset]);
+      });
+    });
+    start = Math.max(start, offset === 0 ? index : index + 1);
+  }
+
+  if (maxAge !== undefined && timestamp) {
+    const get = pify(feed.get.bind(feed));
+    while (start < limit && feed.has(start) && timestamp(await get(start)) < now - maxAge) {
+      start++;
+    }
+  }
+
+  start = Math.min(start, limit);
+
+  if (start > cleared) {
+    await pify(feed.clear.bind(feed))(cleared, start);
+  }
+
+  return start;
+}
@@ -0,0 +1,98 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import assert from 'assert';
+import Ajv from 'ajv';
+
+/**
+ * Schema used to validate the messages of a feed: a JSON Schema or a protobuf type.
+ *
+ * A protobuf type is any object implementing `verify(message)` that returns an error string or null (e.g. a protobufjs Type).
+ *
+ * @typedef {Object} Schema
+ */
+
+/**
+ * @callback Validator
+ * @param {*} message
+ * @returns {(string|null)} Error description or null if the message is valid.
+ */
+
+/**
+ * Registry of the schemas available to validate the feeds, identified by a string id.
+ */
+export default class SchemaRegistry {
+  /**
+   * constructor
+   *
+   * @param {Object<string, Schema>} [schemas]
+   */
+  constructor (schemas = {}) {
+    assert(typeof schemas === 'object', 'schemas must be an object.');
+
+    /** @type {Map<string, { schema: Schema, validate: Validator }>} */
+    this._schemas = new Map();
+
+    Object.entries(schemas).forEach(([id, schema]) => this.register(schema, id));
+  }
+
+  /**
+   * Register a schema.
+   *
+   * @param {Schema} schema
+   * @param {string} [id] By default the `$id` of a JSON Schema or the `fullName` of a protobuf type.
+   * @returns {string} Id of the schema.
+   */
+  register (schema, id = getSchemaId(schema)) {
+    assert(schema && typeof schema === 'object', 'schema must be an object.');
+    assert(id && typeof id === 'string', 'schema id is required, define the $id of the JSON Schema.');
+
+    const registered = this._schemas.get(id);
+    if (registered && registered.schema === schema) {
+      return id;
+    }
+
+    this._schemas.set(id, { schema, validate: createValidator(schema) });
+    return id;
+  }
+
+  /**
+   * Get the validator of a registered schema.
+   *
+   * @param {string} id
+   * @returns {Validator}
+   */
+  get (id) {
+    const registered = this._schemas.get(id);
+    if (!registered) {
+      throw new Error(`Schema not found: ${id}`);
+    }
+
+    return registered.validate;
+  }
+}
+
+function getSchemaId (schema) {
+  if (!schema) {
+    return undefined;
+  }
+
+  if (typeof schema.verify === 'function') {
+    return schema.fullName;
+  }
+
+  return schema.$id;
+}
+
+function createValidator (schema) {
+  if (typeof schema.verify === 'function') {
+    return message => schema.verify(message) || null;
+  }
+
+  // Each schema is compiled by its own instance to allow redefining an id.
+  const ajv = new Ajv({ allErrors: true });
+  const validate = ajv.compile(schema);
+
+  return message => validate(message) ? null : ajv.errorsText(validate.errors, { dataVar: 'message' });
+}
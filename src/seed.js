@@ -0,0 +1,60 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import assert from 'assert';
+import crypto from 'hypercore-crypto';
+import sodium from 'sodium-universal';
+
+/**
+ * Generate a random master seed.
+ *
+ * @returns {Buffer} Buffer of size crypto_sign_SEEDBYTES.
+ */
+export function generateSeed () {
+  const seed = Buffer.alloc(sodium.crypto_sign_SEEDBYTES);
+  sodium.randombytes_buf(seed);
+  return seed;
+}
+
+/**
+ * Validate a master seed.
+ *
+ * @param {Buffer} [seed]
+ */
+export function validateSeed (seed) {
+  assert(!seed || (Buffer.isBuffer(seed) && seed.length === sodium.crypto_sign_SEEDBYTES),
+    'seed must be a buffer of size crypto_sign_SEEDBYTES.');
+}
+
+/**
+ * Derive the key pair of a feed from a master seed and the path of the feed.
+ *
+ * @param {Buffer} seed
+ * @param {string} path
+ * @returns {{ publicKey: Buffer, secretKey: Buffer }}
+ */
+export function deriveKeyPair (seed, path) {
+  return crypto.keyPair(deriveSeed(seed, `feed:${path}`));
+}
+
+/**
+ * Derive the master seed of a namespace.
+ *
+ * @param {Buffer} seed
+ * @param {string} name
+ * @returns {Buffer}
+ */
+export function deriveNamespaceSeed (seed, name) {
+  return deriveSeed(seed, `namespace:${name}`);
+}
+
+// Keyed BLAKE2b of the context, the prefix of the context separates the feed and namespace seeds.
+function deriveSeed (seed, context) {
+  assert(seed, 'seed is required.');
+  validateSeed(seed);
+
+  const derived = Buffer.alloc(sodium.crypto_sign_SEEDBYTES);
+  sodium.crypto_generichash(derived, Buffer.from(context), seed);
+  return derived;
+}
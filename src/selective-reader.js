@@ -2,19 +2,65 @@
 // Copyright 2019 DXOS.org
 //
 
+import assert from 'assert';
 import { Readable } from 'stream';
+import eos from 'end-of-stream';
+
 import createBatchStream from './create-batch-stream';
 
+/**
+ * Dependency of a message: it's evaluated again once the message `seq` of the feed `key` is emitted.
+ *
+ * @typedef {Object} Dependency
+ * @property {Buffer|string} key
+ * @property {number} seq
+ */
+
+/**
+ * Returns `true` to emit the message, `false` to evaluate it again on the next read or a dependency hint.
+ *
+ * @callback Evaluator
+ * @param {FeedDescriptor} feedDescriptor
+ * @param {Object} message
+ * @returns {Promise<boolean|{ waitFor: Dependency }>}
+ */
+
+/**
+ * Message blocking its feed.
+ *
+ * @typedef {Object} BlockedHead
+ * @property {string} path
+ * @property {Buffer} key
+ * @property {number} seq
+ * @property {Object} message
+ * @property {Dependency|null} waitFor
+ */
+
 /**
  * Creates a multi ReadableStream for feed streams.
+ *
+ * Emits `stalled` with the blocked heads when no message is emitted during `stallTimeout` milliseconds.
  */
 export default class SelectiveReader extends Readable {
-  /** @type {(feedDescriptor, message) => Promise<boolean>} */
+  /** @type {Evaluator} */
   _evaluator;
 
-  /** @type {Set<{ descriptor: FeedDescriptor, stream: any, buffer: any[] }>} */
+  /** @type {Set<{ descriptor: FeedDescriptor, stream: any, buffer: any[], blocked: boolean, waitFor: (Dependency|null) }>} */
   _feeds = new Set();
 
+  /** @type {Map<string, number>} Last seq emitted by feed key. */
+  _emitted = new Map();
+
+  /** @type {Object[]} */
+  _quarantined = [];
+
+  /** @type {number|undefined} */
+  _stallTimeout;
+
+  _stallTimer = null;
+
+  _stalled = false;
+
   /** @type {() => void} */
   _wakeUpReader;
 
@@ -23,13 +69,108 @@ export default class SelectiveReader extends Readable {
 
   _reading = false;
 
-  constructor (evaluator) {
+  /** @type {(feedDescriptor) => boolean} */
+  _filter;
+
+  /** @type {(descriptor: FeedDescriptor, count: number) => void} */
+  _readListener = null;
+
+  /**
+   * constructor
+   *
+   * @param {Evaluator} evaluator
+   * @param {(feedDescriptor) => boolean} [filter]
+   * @param {Object} [options]
+   * @param {number} [options.stallTimeout] Milliseconds without emitting a message to emit `stalled`. Disabled by default.
+   */
+  constructor (evaluator, filter = () => true, options = {}) {
     super({ objectMode: true });
 
+    const { stallTimeout } = options;
+    assert(stallTimeout === undefined || (Number.isInteger(stallTimeout) && stallTimeout > 0),
+      'stallTimeout must be a positive integer.');
+
     this._evaluator = evaluator;
+    this._filter = filter;
+    this._stallTimeout = stallTimeout;
     this._resetDataLock();
   }
 
+  /**
+   * Messages removed from the stream by `quarantine`.
+   *
+   * @type {Object[]}
+   */
+  get quarantined () {
+    return this._quarantined;
+  }
+
+  /**
+   * Heads of the feeds blocked by the evaluator.
+   *
+   * @type {BlockedHead[]}
+   */
+  get blockedHeads () {
+    return Array.from(this._feeds.values())
+      .filter(feed => feed.blocked && feed.buffer.length > 0)
+      .map(({ descriptor, buffer: [message], waitFor }) => ({
+        path: descriptor.path,
+        key: descriptor.key,
+        seq: message.seq,
+        message,
+        waitFor
+      }));
+  }
+
+  /**
+   * Seq of the next message to emit by feed key.
+   *
+   * @type {Object<string, number>}
+   */
+  get positions () {
+    const positions = {};
+    for (const { descriptor } of this._feeds) {
+      const feedKey = descriptor.key.toString('hex');
+      const emitted = this._emitted.get(feedKey);
+      positions[feedKey] = emitted === undefined ? descriptor.cleared : emitted + 1;
+    }
+    return positions;
+  }
+
+  /**
+   * Listen for the messages read from each feed.
+   *
+   * @param {(descriptor: FeedDescriptor, count: number) => void} listener
+   */
+  onRead (listener) {
+    this._readListener = listener;
+  }
+
+  /**
+   * Drop the blocked head of a feed.
+   *
+   * @param {Buffer|string} key
+   * @returns {Object|undefined} The dropped message.
+   */
+  skip (key) {
+    return this._dropHead(key);
+  }
+
+  /**
+   * Move the blocked head of a feed to the quarantined messages.
+   *
+   * @param {Buffer|string} key
+   * @returns {Object|undefined} The quarantined message.
+   */
+  quarantine (key) {
+    const message = this._dropHead(key);
+    if (message) {
+      this._quarantined.push(message);
+    }
+
+    return message;
+  }
+
   _resetDataLock () {
     this._hasData = new Promise(resolve => { this._wakeUpReader = resolve; });
   }
@@ -53,8 +194,29 @@ export default class SelectiveReader extends Readable {
         }
 
         let message;
-        while ((message = feed.buffer.shift())) {
-          if (await this._evaluator(feed.descriptor, message)) {
+        while ((message = feed.buffer[0])) {
+          // Not evaluated again until the dependency is emitted.
+          if (feed.waitFor && !this._isEmitted(feed.waitFor)) {
+            break;
+          }
+
+          const result = await this._evaluator(feed.descriptor, message);
+
+          // The head was skipped while it was evaluated.
+          if (feed.buffer[0] !== message) {
+            continue;
+          }
+
+          if (result && !result.waitFor) {
+            feed.buffer.shift();
+            feed.blocked = false;
+            feed.waitFor = null;
+            this._emitted.set(message.key.toString('hex'), message.seq);
+            this._progress();
+            if (this._readListener) {
+              this._readListener(feed.descriptor, 1);
+            }
+
             process.nextTick(() => this._wakeUpReader());
             this._needsData = false;
             if (!this.push(message)) {
@@ -62,12 +224,15 @@ export default class SelectiveReader extends Readable {
               return;
             }
           } else {
-            feed.buffer.unshift(message);
+            feed.blocked = true;
+            feed.waitFor = (result && result.waitFor) || null;
             break;
           }
         }
       }
 
+      this._checkStalled();
+
       await new Promise(resolve => setTimeout(resolve, 0)); // yield so that other tasks can be processed
 
       if (this._needsData && Array.from(this._feeds.values()).some(x => x.buffer.length > 0)) {
@@ -89,13 +254,83 @@ export default class SelectiveReader extends Readable {
    * @param {FeedDescriptor} descriptor
    */
   async addFeedStream (descriptor) {
-    const stream = createBatchStream(descriptor.feed, { live: true });
+    if (!this._filter(descriptor)) {
+      return;
+    }
+
+    const stream = createBatchStream(descriptor.feed, {
+      live: true,
+      cleared: () => descriptor.cleared,
+      visibleLength: () => descriptor.visibleLength,
+      onVisible: listener => descriptor.onVisible(listener)
+    });
 
     stream.on('readable', () => {
       this._wakeUpReader();
       this._read();
     });
 
-    this._feeds.add({ descriptor, stream, buffer: [] });
+    const unpin = descriptor.pin();
+    eos(stream, unpin);
+
+    this._feeds.add({ descriptor, stream, buffer: [], blocked: false, waitFor: null });
+  }
+
+  _isEmitted ({ key, seq }) {
+    const emitted = this._emitted.get(Buffer.isBuffer(key) ? key.toString('hex') : key);
+    return emitted !== undefined && emitted >= seq;
+  }
+
+  _dropHead (key) {
+    const feed = Array.from(this._feeds.values()).find(({ descriptor }) => {
+      return Buffer.isBuffer(key) ? descriptor.key.equals(key) : descriptor.key.toString('hex') === key;
+    });
+
+    if (!feed || !feed.blocked || feed.buffer.length === 0) {
+      return undefined;
+    }
+
+    const message = feed.buffer.shift();
+    feed.blocked = false;
+    feed.waitFor = null;
+    this._progress();
+
+    this._wakeUpReader();
+    this._read();
+
+    return message;
+  }
+
+  _progress () {
+    clearTimeout(this._stallTimer);
+    this._stallTimer = null;
+    this._stalled = false;
+  }
+
+  _checkStalled () {
+    if (!this._stallTimeout || this._stallTimer || this._stalled || this.blockedHeads.length === 0) {
+      return;
+    }
+
+    this._stallTimer = setTimeout(() => {
+      this._stallTimer = null;
+
+      const heads = this.blockedHeads;
+      if (heads.length > 0 && !this.destroyed) {
+        this._stalled = true;
+        this.emit('stalled', heads);
+      }
+    }, this._stallTimeout);
+  }
+
+  _destroy (err, cb) {
+    clearTimeout(this._stallTimer);
+    this._stallTimer = null;
+
+    for (const { stream } of this._feeds.values()) {
+      stream.destroy();
+    }
+    this._feeds.clear();
+    cb(err);
   }
 }
@@ -2,6 +2,7 @@
 // Copyright 2019 DXOS.org
 //
 
+import pEvent from 'p-event';
 import pify from 'pify';
 import ram from 'random-access-memory';
 import waitForExpect from 'wait-for-expect';
@@ -97,4 +98,68 @@ describe('SelectiveReader', () => {
 
     // TODO(marik-d): Test for sync events
   });
+
+  test('dependency hints', async () => {
+    const feedStore = await FeedStore.create(ram, { feedOptions: { valueEncoding: 'utf-8' } });
+    const [feed1, feed2] = await Promise.all([feedStore.openFeed('/feed1'), feedStore.openFeed('/feed2')]);
+
+    await append(feed1, 'after-b1');
+
+    let evaluations = 0;
+    const stream = feedStore.createSelectiveStream(async (feedDescriptor, message) => {
+      if (message.data !== 'after-b1') {
+        return true;
+      }
+
+      // The first evaluation waits for the second message of feed2.
+      return evaluations++ > 0 || { waitFor: { key: feed2.key, seq: 1 } };
+    });
+
+    const messages = [];
+    stream.on('data', message => messages.push(message.data));
+
+    await waitForExpect(() => expect(evaluations).toBe(1));
+
+    await append(feed2, 'b0');
+    await waitForExpect(() => expect(messages).toEqual(['b0']));
+    expect(evaluations).toBe(1);
+
+    await append(feed2, 'b1');
+    await waitForExpect(() => expect(messages).toEqual(['b0', 'b1', 'after-b1']));
+    expect(evaluations).toBe(2);
+
+    stream.destroy();
+  });
+
+  test('stalled feeds', async () => {
+    const feedStore = await FeedStore.create(ram, { feedOptions: { valueEncoding: 'utf-8' } });
+    const feed = await feedStore.openFeed('/feed1');
+
+    await append(feed, 'stuck');
+    await append(feed, 'next');
+
+    const stream = feedStore.createSelectiveStream(async (feedDescriptor, message) => message.data !== 'stuck', undefined, { stallTimeout: 50 });
+
+    const messages = [];
+    stream.on('data', message => messages.push(message.data));
+
+    const heads = await pEvent(stream, 'stalled');
+    expect(heads).toMatchObject([{ path: '/feed1', key: feed.key, seq: 0, waitFor: null }]);
+    expect(heads[0].message.data).toBe('stuck');
+
+    expect(stream.quarantine(feed.key).data).toBe('stuck');
+    expect(stream.quarantined.map(message => message.seq)).toEqual([0]);
+    await waitForExpect(() => expect(messages).toEqual(['next']));
+
+    await append(feed, 'stuck');
+    await append(feed, 'last');
+    await pEvent(stream, 'stalled');
+
+    expect(stream.skip(feed.key.toString('hex')).seq).toBe(2);
+    await waitForExpect(() => expect(messages).toEqual(['next', 'last']));
+    expect(stream.quarantined).toHaveLength(1);
+    expect(stream.skip(feed.key)).toBeUndefined();
+
+    stream.destroy();
+  });
 });
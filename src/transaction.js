@@ -0,0 +1,50 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import assert from 'assert';
+
+// Key of the journals of the pending transactions.
+export const TRANSACTION_NAMESPACE = '@transaction';
+
+/**
+ * Appends to several feeds applied atomically by `feedStore.transaction`.
+ */
+export default class Transaction {
+  constructor () {
+    /** @type {Map<string, Array<*>>} */
+    this._appends = new Map();
+
+    this._committed = false;
+  }
+
+  /**
+   * Appends by feed path.
+   *
+   * @type {{ path: string, messages: Array<*> }[]}
+   */
+  get appends () {
+    return Array.from(this._appends, ([path, messages]) => ({ path, messages }));
+  }
+
+  /**
+   * Append a message to a feed when the transaction is committed.
+   *
+   * @param {string} path
+   * @param {*} message
+   */
+  append (path, message) {
+    assert(path, 'Missing path');
+    assert(!this._committed, 'Transaction already committed');
+
+    if (!this._appends.has(path)) {
+      this._appends.set(path, []);
+    }
+
+    this._appends.get(path).push(message);
+  }
+
+  commit () {
+    this._committed = true;
+  }
+}
@@ -0,0 +1,171 @@
+//
+// Copyright 2019 DXOS.org
+//
+
+import assert from 'assert';
+import { Writable } from 'stream';
+import pify from 'pify';
+
+/**
+ * Queue of appends to a feed, coalesced into batch appends.
+ */
+export default class WriteQueue {
+  /**
+   * constructor
+   *
+   * @param {() => Promise<Hypercore>} getFeed Returns the opened feed to write.
+   * @param {Object} [options]
+   * @param {number} [options.highWaterMark=1024] Max number of queued messages, new appends wait while the queue is full.
+   * @param {number} [options.maxBatch=1024] Max number of messages by batch append.
+   * @param {(message: *) => (Error|null)} [options.validate] Rejects the invalid messages before they are queued.
+   * @param {() => Promise<function>} [options.lock] Lock held during each batch append, resolves with the release function.
+   * The batch fails if the lock is rejected.
+   */
+  constructor (getFeed, options = {}) {
+    const { highWaterMark = 1024, maxBatch = 1024, validate = () => null, lock = async () => async () => {} } = options;
+
+    assert(typeof getFeed === 'function', 'getFeed must be a function.');
+    assert(Number.isInteger(highWaterMark) && highWaterMark > 0, 'highWaterMark must be a positive integer.');
+    assert(Number.isInteger(maxBatch) && maxBatch > 0, 'maxBatch must be a positive integer.');
+
+    this._getFeed = getFeed;
+    this._highWaterMark = highWaterMark;
+    this._maxBatch = maxBatch;
+    this._validate = validate;
+    this._lock = lock;
+
+    /** @type {{ message: *, resolve: function, reject: function, queuedAt: number }[]} */
+    this._pending = [];
+    this._drainListeners = [];
+    this._flushing = null;
+
+    this._stats = {
+      batches: 0,
+      messages: 0,
+      lastFlushLatency: 0,
+      maxFlushLatency: 0
+    };
+  }
+
+  /**
+   * Number of messages waiting to be appended.
+   *
+   * @type {number}
+   */
+  get depth () {
+    return this._pending.length;
+  }
+
+  /**
+   * Queue depth, number of batches and messages appended and flush latency in milliseconds
+   * (time since a message is queued until it's appended).
+   *
+   * @type {{ depth: number, batches: number, messages: number, lastFlushLatency: number, maxFlushLatency: number }}
+   */
+  get stats () {
+    return { depth: this.depth, ...this._stats };
+  }
+
+  /**
+   * Queue a message.
+   *
+   * @param {*} message
+   * @returns {Promise<number>} Seq of the message once appended.
+   */
+  async push (message) {
+    const error = this._validate(message);
+    if (error) {
+      throw error;
+    }
+
+    while (this._pending.length >= this._highWaterMark) {
+      await new Promise(resolve => this._drainListeners.push(resolve));
+    }
+
+    return new Promise((resolve, reject) => {
+      this._pending.push({ message, resolve, reject, queuedAt: Date.now() });
+      this._scheduleFlush();
+    });
+  }
+
+  /**
+   * Wait until every queued message is appended.
+   *
+   * @returns {Promise}
+   */
+  async flush () {
+    while (this._flushing) {
+      await this._flushing;
+    }
+  }
+
+  _scheduleFlush () {
+    if (this._flushing) {
+      return;
+    }
+
+    // Wait for the messages queued in the same tick.
+    this._flushing = new Promise(resolve => setImmediate(resolve)).then(() => this._flushAll());
+  }
+
+  async _flushAll () {
+    while (this._pending.length > 0) {
+      const batch = this._pending.splice(0, this._maxBatch);
+
+      const listeners = this._drainListeners;
+      this._drainListeners = [];
+      listeners.forEach(listener => listener());
+
+      let release;
+      try {
+        release = await this._lock();
+        const feed = await this._getFeed();
+        const seq = await pify(feed.append.bind(feed))(batch.map(({ message }) => message));
+
+        const latency = Date.now() - batch[0].queuedAt;
+        this._stats.batches++;
+        this._stats.messages += batch.length;
+        this._stats.lastFlushLatency = latency;
+        this._stats.maxFlushLatency = Math.max(this._stats.maxFlushLatency, latency);
+
+        batch.forEach(({ resolve }, i) => resolve(seq + i));
+        await release();
+      } catch (err) {
+        if (release) {
+          await release();
+        }
+        batch.forEach(({ reject }) => reject(err));
+      }
+    }
+
+    // Released in the same tick the queue is found empty so no message is left behind.
+    this._flushing = null;
+  }
+}
+
+/**
+ * Creates a WritableStream that appends to a queue.
+ *
+ * The chunks buffered by the stream while a write is in progress are queued together.
+ *
+ * @param {WriteQueue|Promise<WriteQueue>} queue
+ * @param {Object} [options] Writable options.
+ * @returns {WritableStream}
+ */
+export function createWriteStream (queue, options = {}) {
+  const push = async chunks => {
+    const writeQueue = await queue;
+    return Promise.all(chunks.map(chunk => writeQueue.push(chunk)));
+  };
+
+  return new Writable({
+    ...options,
+    objectMode: true,
+    write (chunk, encoding, callback) {
+      push([chunk]).then(() => callback(), callback);
+    },
+    writev (chunks, callback) {
+      push(chunks.map(({ chunk }) => chunk)).then(() => callback(), callback);
+    }
+  });
+}